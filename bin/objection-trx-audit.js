@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview `objection-trx-audit` — reports the transaction coverage of
+ * the functions in a code base as JSON or SARIF.
+ */
+
+import { writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { audit, toSarif } from "../lib/audit.js";
+
+const USAGE = `Usage: objection-trx-audit [options] [files, directories or globs...]
+
+Reports, per function, whether a transaction is available and which
+Objection.js queries forward it.  Defaults to the current directory.
+
+Options:
+  -f, --format <json|sarif>  Output format (default: json)
+  -o, --output <file>        Write the report to <file> instead of stdout
+  --names <name>             Transaction identifier (repeatable, default: trx)
+  --pattern <regex>          Regular expression matching transaction identifiers
+  --paths <path>             Member expression holding a transaction, e.g. ctx.trx (repeatable)
+  --model-modules <glob>     Module exporting Objection.js models (repeatable)
+  -h, --help                 Show this help
+`;
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: "string", short: "f", default: "json" },
+      output: { type: "string", short: "o" },
+      names: { type: "string", multiple: true },
+      pattern: { type: "string" },
+      paths: { type: "string", multiple: true },
+      "model-modules": { type: "string", multiple: true },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (values.format !== "json" && values.format !== "sarif") {
+    throw new Error(`Unknown format "${values.format}": use json or sarif.`);
+  }
+
+  const report = await audit(positionals.length > 0 ? positionals : ["."], {
+    names: values.names,
+    pattern: values.pattern,
+    paths: values.paths,
+    settings: values["model-modules"]
+      ? { modelModules: values["model-modules"] }
+      : {},
+  });
+  const output = `${JSON.stringify(
+    values.format === "sarif" ? toSarif(report) : report,
+    null,
+    2,
+  )}\n`;
+
+  if (values.output) {
+    await writeFile(values.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main().catch((error) => {
+  process.stderr.write(`objection-trx-audit: ${error.message}\n${USAGE}`);
+  process.exitCode = 2;
+});
@@ -1,9 +1,10 @@
 import pluginJs from "@eslint/js";
 import eslintPlugin from "eslint-plugin-eslint-plugin";
 import pluginNode from "eslint-plugin-n";
-import { defineConfig } from "eslint/config";
+import { defineConfig, globalIgnores } from "eslint/config";
 
 export default defineConfig([
+  globalIgnores(["tests/fixtures/"]),
   {
     name: "eslint/js",
     plugins: {
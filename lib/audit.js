@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Transaction-coverage audit behind the `objection-trx-audit`
+ * command.
+ *
+ * Lints the given files through ESLint's Node API with
+ * `require-trx-forwarding` and an audit-only `coverage` rule that records,
+ * for every function, the transaction available to it and the Objection.js
+ * queries it starts.  Both share the plugin's detection (transaction
+ * tracking, Model detection), so a query is reported as:
+ *
+ *  - `forwarded` — a transaction is available and the query receives it
+ *  - `missing`   — a transaction is available but not forwarded (reported
+ *                  by `require-trx-forwarding`)
+ *  - `none`      — no transaction is available
+ */
+
+import path from "node:path";
+import { ESLint } from "eslint";
+import plugin from "./index.js";
+import { mergeVisitors } from "./utils/ast.js";
+import { createModelDetector } from "./utils/models.js";
+import { getQueryMethod } from "./utils/queries.js";
+import {
+  createTransactionTracker,
+  transactionNameSchema,
+  transactionTrackerSchema,
+} from "./utils/transaction.js";
+
+const FORWARDING_RULE = "objection-trx/require-trx-forwarding";
+const NO_TRANSACTION_RULE = "objection-trx-audit/no-transaction";
+const FILES = ["**/*.js", "**/*.mjs", "**/*.cjs"];
+
+/**
+ * `require-trx-forwarding` messages reporting a query that does not
+ * receive the available transaction.
+ */
+const MISSING_MESSAGE_IDS = /^(?:missingTrx|unboundModel$)/u;
+
+/**
+ * Create the audit-only rule that records the functions of each linted file
+ * into `coverage`, keyed by file path.
+ */
+function createCoverageRule(coverage) {
+  return {
+    meta: {
+      type: "suggestion",
+      docs: {
+        description:
+          "Record the transaction coverage of each function for `objection-trx-audit`.",
+      },
+      schema: [
+        {
+          type: "object",
+          properties: { ...transactionNameSchema, ...transactionTrackerSchema },
+          additionalProperties: false,
+        },
+      ],
+      defaultOptions: [{ names: ["trx"] }],
+    },
+
+    create(context) {
+      const { sourceCode } = context;
+      const transactions = createTransactionTracker(
+        context,
+        context.options[0],
+      );
+      const { isTransaction, getAvailableTrx } = transactions;
+      const looksLikeModelClass = createModelDetector(context);
+      const topLevel = { name: "<top-level>", line: 1, column: 1, calls: [] };
+      const functions = [];
+      const functionStack = [topLevel];
+
+      return mergeVisitors(transactions.visitors, {
+        ":function"(node) {
+          functionStack.push({
+            name: getFunctionName(node),
+            line: node.loc.start.line,
+            column: node.loc.start.column + 1,
+            transaction: getAvailableTrx(node.body),
+            calls: [],
+          });
+        },
+        ":function:exit"() {
+          const entry = functionStack.pop();
+          if (entry.transaction != null || entry.calls.length > 0) {
+            functions.push(entry);
+          }
+        },
+
+        CallExpression(node) {
+          if (getQueryMethod(node.callee, looksLikeModelClass) == null) return;
+          const { start, end } = node.loc;
+          functionStack[functionStack.length - 1].calls.push({
+            callee: sourceCode.getText(node.callee),
+            line: start.line,
+            column: start.column + 1,
+            endLine: end.line,
+            endColumn: end.column + 1,
+            transaction: getAvailableTrx(node),
+            passed: node.arguments.some((arg) => isTransaction(arg)),
+          });
+        },
+
+        "Program:exit"() {
+          if (topLevel.calls.length > 0) functions.push(topLevel);
+          // Functions are recorded on exit: inner ones first.
+          functions.sort((a, b) => a.line - b.line || a.column - b.column);
+          coverage.set(context.filename, functions);
+        },
+      });
+    },
+  };
+}
+
+/**
+ * Return a readable name for a function node: its own name, the variable,
+ * property or class method it is assigned to, or `<anonymous>`.
+ */
+function getFunctionName(node) {
+  if (node.id) return node.id.name;
+  const { parent } = node;
+  if (parent.type === "VariableDeclarator" && parent.id.type === "Identifier") {
+    return parent.id.name;
+  }
+  if (
+    (parent.type === "MethodDefinition" ||
+      parent.type === "PropertyDefinition" ||
+      parent.type === "Property") &&
+    !parent.computed
+  ) {
+    const key =
+      parent.key.type === "PrivateIdentifier"
+        ? `#${parent.key.name}`
+        : (parent.key.name ?? String(parent.key.value));
+    const className = parent.parent.parent.id?.name;
+    return parent.type !== "Property" && className
+      ? `${className}.${key}`
+      : key;
+  }
+  return "<anonymous>";
+}
+
+function locationKey({ line, column, endLine, endColumn }) {
+  return `${line}:${column}:${endLine}:${endColumn}`;
+}
+
+/**
+ * Return the status of a recorded query call, with the message reporting
+ * it when the transaction is not forwarded.
+ */
+function getCallStatus(call, missing) {
+  const message = missing.get(locationKey(call));
+  if (message != null) return { status: "missing", message };
+  if (call.transaction != null || call.passed) return { status: "forwarded" };
+  return { status: "none" };
+}
+
+/**
+ * Audit the files matching `patterns` (files, directories or globs,
+ * resolved from `cwd`) and return the coverage report.
+ *
+ * `names`, `pattern` and `paths` configure the transaction identifiers as
+ * for the rules; `settings` is the plugin's shared `settings["objection-trx"]`
+ * (model detection).
+ */
+export async function audit(
+  patterns,
+  { cwd = process.cwd(), names, pattern, paths, settings = {} } = {},
+) {
+  const coverage = new Map();
+  const options = Object.fromEntries(
+    Object.entries({ names, pattern, paths }).filter(([, v]) => v != null),
+  );
+  const eslint = new ESLint({
+    cwd,
+    overrideConfigFile: true,
+    overrideConfig: [
+      {
+        files: FILES,
+        plugins: {
+          "objection-trx": plugin,
+          "objection-trx-audit": {
+            rules: { coverage: createCoverageRule(coverage) },
+          },
+        },
+        settings: { "objection-trx": settings },
+        rules: {
+          [FORWARDING_RULE]: ["error", options],
+          "objection-trx-audit/coverage": ["error", options],
+        },
+      },
+    ],
+    errorOnUnmatchedPattern: false,
+  });
+  const results = await eslint.lintFiles(patterns);
+
+  const files = results.map((result) => {
+    const missing = new Map(
+      result.messages
+        .filter(
+          (m) =>
+            m.ruleId === FORWARDING_RULE &&
+            MISSING_MESSAGE_IDS.test(m.messageId),
+        )
+        .map((m) => [locationKey(m), m.message]),
+    );
+    const file = {
+      file: path.relative(cwd, result.filePath).split(path.sep).join("/"),
+      functions: (coverage.get(result.filePath) ?? []).map((fn) => ({
+        name: fn.name,
+        line: fn.line,
+        column: fn.column,
+        transaction:
+          fn.transaction ??
+          fn.calls.find((call) => call.transaction != null)?.transaction ??
+          null,
+        calls: fn.calls.map((call) => ({
+          callee: call.callee,
+          line: call.line,
+          column: call.column,
+          endLine: call.endLine,
+          endColumn: call.endColumn,
+          ...getCallStatus(call, missing),
+        })),
+      })),
+    };
+    const fatal = result.messages.find((m) => m.fatal);
+    if (fatal) file.error = `${fatal.line}:${fatal.column} ${fatal.message}`;
+    return file;
+  });
+
+  return { files, summary: summarize(files) };
+}
+
+function summarize(files) {
+  const summary = {
+    files: files.length,
+    functions: 0,
+    functionsWithTransaction: 0,
+    calls: 0,
+    forwarded: 0,
+    missing: 0,
+    none: 0,
+  };
+  for (const { functions } of files) {
+    for (const fn of functions) {
+      summary.functions += 1;
+      if (fn.transaction != null) summary.functionsWithTransaction += 1;
+      for (const call of fn.calls) {
+        summary.calls += 1;
+        summary[call.status] += 1;
+      }
+    }
+  }
+  return summary;
+}
+
+/**
+ * Convert an audit report to a SARIF 2.1.0 log: queries not forwarding the
+ * available transaction are `error` results, queries without a transaction
+ * are `note` results.
+ */
+export function toSarif(report) {
+  const forwarding = plugin.rules["require-trx-forwarding"].meta.docs;
+  const results = [];
+  for (const { file, functions } of report.files) {
+    for (const fn of functions) {
+      for (const call of fn.calls) {
+        if (call.status === "forwarded") continue;
+        const missing = call.status === "missing";
+        results.push({
+          ruleId: missing ? FORWARDING_RULE : NO_TRANSACTION_RULE,
+          level: missing ? "error" : "note",
+          message: {
+            text: missing
+              ? call.message
+              : `\`${call.callee}()\` in \`${fn.name}\` runs without a transaction.`,
+          },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: file },
+                region: {
+                  startLine: call.line,
+                  startColumn: call.column,
+                  endLine: call.endLine,
+                  endColumn: call.endColumn,
+                },
+              },
+            },
+          ],
+        });
+      }
+    }
+  }
+
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "objection-trx-audit",
+            version: plugin.meta.version,
+            rules: [
+              {
+                id: FORWARDING_RULE,
+                shortDescription: { text: forwarding.description },
+                helpUri: forwarding.url,
+              },
+              {
+                id: NO_TRANSACTION_RULE,
+                shortDescription: {
+                  text: "Objection.js query that runs without a transaction.",
+                },
+              },
+            ],
+          },
+        },
+        results,
+        properties: { summary: report.summary },
+      },
+    ],
+  };
+}
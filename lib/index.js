@@ -4,7 +4,17 @@
  */
 
 import { readFileSync } from "node:fs";
+import noFloatingQueryInTransactionCallback from "./rules/no-floating-query-in-transaction-callback.js";
+import noKnexBuilderOutsideTrx from "./rules/no-knex-builder-outside-trx.js";
+import noTrxInDetachedCallbacks from "./rules/no-trx-in-detached-callbacks.js";
+import noTrxUseAfterFinalize from "./rules/no-trx-use-after-finalize.js";
+import noUnlinkedNestedTransaction from "./rules/no-unlinked-nested-transaction.js";
+import noUnusedTrxParam from "./rules/no-unused-trx-param.js";
+import requireTransactionForMultipleWrites from "./rules/require-transaction-for-multiple-writes.js";
+import requireTrxForGraphWrites from "./rules/require-trx-for-graph-writes.js";
 import requireTrxForwarding from "./rules/require-trx-forwarding.js";
+import requireTrxParamInDataAccessFunctions from "./rules/require-trx-param-in-data-access-functions.js";
+import requireTrxPropagationToLocalHelpers from "./rules/require-trx-propagation-to-local-helpers.js";
 
 const pkg = JSON.parse(
   readFileSync(new URL("../package.json", import.meta.url), "utf8"),
@@ -16,15 +26,87 @@ const plugin = {
     version: pkg.version,
   },
   rules: {
+    "no-floating-query-in-transaction-callback":
+      noFloatingQueryInTransactionCallback,
+    "no-knex-builder-outside-trx": noKnexBuilderOutsideTrx,
+    "no-trx-in-detached-callbacks": noTrxInDetachedCallbacks,
+    "no-trx-use-after-finalize": noTrxUseAfterFinalize,
+    "no-unlinked-nested-transaction": noUnlinkedNestedTransaction,
+    "no-unused-trx-param": noUnusedTrxParam,
+    "require-transaction-for-multiple-writes":
+      requireTransactionForMultipleWrites,
+    "require-trx-for-graph-writes": requireTrxForGraphWrites,
     "require-trx-forwarding": requireTrxForwarding,
+    "require-trx-param-in-data-access-functions":
+      requireTrxParamInDataAccessFunctions,
+    "require-trx-propagation-to-local-helpers":
+      requireTrxPropagationToLocalHelpers,
   },
 };
 
 plugin.configs = {
   recommended: {
     plugins: { "objection-trx": plugin },
-    rules: { "objection-trx/require-trx-forwarding": "error" },
+    rules: {
+      "objection-trx/require-trx-forwarding": "error",
+    },
   },
 };
 
+// Same rules, with transactions detected by their TypeScript type.  Needs
+// `@typescript-eslint/parser` with `parserOptions.projectService` (or
+// `project`) configured by the user.
+plugin.configs["recommended-type-checked"] = {
+  plugins: { "objection-trx": plugin },
+  rules: {
+    ...plugin.configs.recommended.rules,
+    "objection-trx/require-trx-forwarding": ["error", { typeAware: true }],
+  },
+};
+
+// Every rule, with the stricter option variants: fallbacks such as
+// `trx ?? knex` no longer count as forwarding the transaction.
+plugin.configs.strict = {
+  plugins: { "objection-trx": plugin },
+  rules: {
+    ...plugin.configs.recommended.rules,
+    "objection-trx/no-floating-query-in-transaction-callback": "error",
+    "objection-trx/no-knex-builder-outside-trx": "error",
+    "objection-trx/no-trx-in-detached-callbacks": "error",
+    "objection-trx/no-trx-use-after-finalize": "error",
+    "objection-trx/no-unlinked-nested-transaction": "error",
+    "objection-trx/no-unused-trx-param": "error",
+    "objection-trx/require-transaction-for-multiple-writes": "error",
+    "objection-trx/require-trx-for-graph-writes": "error",
+    "objection-trx/require-trx-forwarding": [
+      "error",
+      { allowFallbacks: false },
+    ],
+    "objection-trx/require-trx-param-in-data-access-functions": "error",
+    "objection-trx/require-trx-propagation-to-local-helpers": "error",
+  },
+};
+
+// Every rule at its default options, derived from `plugin.rules` so new
+// rules are included automatically.
+plugin.configs.all = {
+  plugins: { "objection-trx": plugin },
+  rules: Object.fromEntries(
+    Object.keys(plugin.rules).map((name) => [`objection-trx/${name}`, "error"]),
+  ),
+};
+
+plugin.configs["flat/recommended"] = plugin.configs.recommended;
+
+// eslintrc (`.eslintrc.*`) form of `recommended`, for projects that have not
+// moved to flat config yet.
+plugin.configs["legacy-recommended"] = {
+  plugins: ["objection-trx"],
+  rules: plugin.configs.recommended.rules,
+};
+
 export default plugin;
+
+// eslintrc loads plugins with `require()`, which returns this module's
+// namespace rather than the default export.
+export const { meta, rules, configs } = plugin;
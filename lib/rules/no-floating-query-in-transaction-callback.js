@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Disallows queries that are neither awaited nor returned
+ * inside managed transaction callbacks.
+ *
+ * `Model.transaction(async (trx) => { … })` commits as soon as the callback's
+ * promise settles.  A query statement that is not awaited or returned is not
+ * part of that promise: it runs after the commit (and fails), or escapes a
+ * rollback.  A query builder that is never awaited does not run at all.
+ *
+ * Detects, inside the callback of `Model.transaction()`,
+ * `knex.transaction()`, `trx.transaction()` or objection's `transaction()`:
+ *  - Objection query statements: `User.query(trx).insert(row);`
+ *  - transaction builders: `trx("users").insert(row);`, `trx.raw(sql);`,
+ *    including on the callback's parameter whatever its name
+ *  - `rows.forEach(async (row) => { await … })` running queries, since
+ *    `forEach()` does not wait for async callbacks
+ */
+
+import { walk } from "../utils/ast.js";
+import { BUILDER_METHODS } from "../utils/knex.js";
+import { createModelDetector } from "../utils/models.js";
+import { getQueryMethod } from "../utils/queries.js";
+import {
+  createTransactionTracker,
+  transactionNameSchema,
+} from "../utils/transaction.js";
+
+/** @type {import("eslint").Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Disallow queries that are neither awaited nor returned inside transaction callbacks.",
+      url: "https://github.com/adithya321/eslint-plugin-objection-trx/blob/main/docs/rules/no-floating-query-in-transaction-callback.md",
+    },
+    messages: {
+      floatingQuery:
+        "Query inside a transaction callback is neither awaited nor returned. It can run after the transaction commits, or escape a rollback. Await or return it.",
+      asyncForEach:
+        "`forEach()` does not wait for async callbacks, so their queries can run after the transaction commits. Use `for…of` with `await`, or `await Promise.all(….map(…))`.",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: { ...transactionNameSchema },
+        additionalProperties: false,
+      },
+    ],
+    defaultOptions: [{ names: ["trx"] }],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+    const [nameOptions] = context.options;
+    const { isTransaction, isTransactionCallback } = createTransactionTracker(
+      context,
+      nameOptions,
+    );
+    const looksLikeModelClass = createModelDetector(context);
+
+    // Number of transaction callbacks enclosing the current node.
+    let callbackDepth = 0;
+
+    /**
+     * Return `true` when the expression is a query chain: it starts with an
+     * Objection query method or a transaction builder (`trx(…)`,
+     * `trx.raw(…)`), possibly followed by builder methods and `.then()`.
+     */
+    function isQueryChain(node) {
+      let current = node;
+      while (current) {
+        if (current.type === "ChainExpression") {
+          current = current.expression;
+        } else if (current.type === "MemberExpression") {
+          current = current.object;
+        } else if (current.type === "CallExpression") {
+          const { callee } = current;
+          if (callee.type === "Identifier") return isTransaction(callee);
+          if (isQueryStart(callee)) return true;
+          current = callee;
+        } else {
+          return false;
+        }
+      }
+      return false;
+    }
+
+    function isQueryStart(callee) {
+      if (callee.type !== "MemberExpression" || callee.computed) return false;
+      if (getQueryMethod(callee, looksLikeModelClass) != null) return true;
+      return (
+        BUILDER_METHODS.has(callee.property.name) &&
+        callee.object.type === "Identifier" &&
+        isTransaction(callee.object)
+      );
+    }
+
+    /**
+     * Return `true` when the function's body starts a query.
+     */
+    function containsQuery(fn) {
+      let found = false;
+      walk(fn.body, sourceCode.visitorKeys, (node) => {
+        if (
+          !found &&
+          node.type === "CallExpression" &&
+          (isQueryStart(node.callee) ||
+            (node.callee.type === "Identifier" && isTransaction(node.callee)))
+        ) {
+          found = true;
+        }
+      });
+      return found;
+    }
+
+    function enterFunction(node) {
+      if (isTransactionCallback(node)) callbackDepth += 1;
+    }
+
+    function exitFunction(node) {
+      if (isTransactionCallback(node)) callbackDepth -= 1;
+    }
+
+    return {
+      ArrowFunctionExpression: enterFunction,
+      "ArrowFunctionExpression:exit": exitFunction,
+      FunctionExpression: enterFunction,
+      "FunctionExpression:exit": exitFunction,
+
+      ExpressionStatement(node) {
+        if (callbackDepth === 0 || !isQueryChain(node.expression)) return;
+        context.report({ node, messageId: "floatingQuery" });
+      },
+
+      CallExpression(node) {
+        if (callbackDepth === 0) return;
+        const { callee } = node;
+        const [callback] = node.arguments;
+        if (
+          callee.type === "MemberExpression" &&
+          !callee.computed &&
+          callee.property.name === "forEach" &&
+          callback != null &&
+          (callback.type === "ArrowFunctionExpression" ||
+            callback.type === "FunctionExpression") &&
+          callback.async &&
+          containsQuery(callback)
+        ) {
+          context.report({ node, messageId: "asyncForEach" });
+        }
+      },
+    };
+  },
+};
+
+export default rule;
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Disallows raw Knex query builders on a non-transaction knex
+ * instance inside functions that have `trx` available.
+ *
+ * `require-trx-forwarding` deliberately ignores `knex('table')…` chains, but
+ * while `trx` is in scope, `knex('users').insert(…)` silently runs outside
+ * the transaction.
+ *
+ * Detects:
+ *  - `knex('users')…`         →  should be `trx('users')…`
+ *  - `knex.raw(sql)`, `knex.select(…)`, `knex.from(…)`, …  →  `trx.raw(sql)`, …
+ *
+ * Builders already bound with `.transacting(trx)` are not flagged, nor are
+ * builders passed as values to another query (`knex.raw("now()")` in
+ * `.insert({ at: … })`, subqueries in `.whereIn("id", …)`), which run as
+ * part of it.
+ */
+
+import { findChainedCall, mergeVisitors } from "../utils/ast.js";
+import { BUILDER_METHODS } from "../utils/knex.js";
+import { createModelDetector, resolveRootReceiver } from "../utils/models.js";
+import { findQueryOrigin } from "../utils/queries.js";
+import {
+  createTransactionTracker,
+  transactionNameSchema,
+  transactionTrackerSchema,
+} from "../utils/transaction.js";
+
+/** @type {import("eslint").Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Disallow Knex query builders on a non-transaction knex instance when `trx` is available.",
+      url: "https://github.com/adithya321/eslint-plugin-objection-trx/blob/main/docs/rules/no-knex-builder-outside-trx.md",
+    },
+    fixable: "code",
+    messages: {
+      builderOutsideTrx:
+        "`{{knex}}` query builder runs outside the transaction while `{{name}}` is available. Use `{{name}}` instead of `{{knex}}` or chain `.transacting({{name}})`.",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          ...transactionNameSchema,
+          ...transactionTrackerSchema,
+          knexNames: {
+            type: "array",
+            items: { type: "string" },
+            uniqueItems: true,
+            description:
+              "Identifiers that hold a (non-transaction) knex instance.",
+          },
+          fixStyle: {
+            enum: ["callee", "transacting"],
+            description:
+              "Whether the fixer replaces the knex instance with the transaction (`trx('users')`) or appends `.transacting(trx)`.",
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    defaultOptions: [
+      { names: ["trx"], knexNames: ["knex"], fixStyle: "callee" },
+    ],
+  },
+
+  create(context) {
+    const [{ fixStyle, ...trackerOptions }] = context.options;
+    const { knexNames } = trackerOptions;
+    const transactions = createTransactionTracker(context, trackerOptions);
+    const {
+      isTrxName,
+      isTransaction,
+      getAvailableTrx,
+      isAvailableTrxShadowed,
+    } = transactions;
+    const knexNameSet = new Set(knexNames);
+    const looksLikeModelClass = createModelDetector(context);
+
+    /**
+     * Return the knex identifier a builder call starts from —
+     * `knex` in `knex('users')` or `knex.raw(sql)` — or `null`.
+     */
+    function getKnexReceiver(node) {
+      const { callee } = node;
+      if (callee.type === "Identifier") {
+        return isKnexName(callee.name) ? callee : null;
+      }
+      if (
+        callee.type === "MemberExpression" &&
+        !callee.computed &&
+        callee.object.type === "Identifier" &&
+        isKnexName(callee.object.name) &&
+        BUILDER_METHODS.has(callee.property.name)
+      ) {
+        return callee.object;
+      }
+      return null;
+    }
+
+    function isKnexName(name) {
+      return knexNameSet.has(name) && !isTrxName(name);
+    }
+
+    /**
+     * Return `true` when the builder chain started by `node` is a value
+     * passed to another query or builder call, directly or inside an
+     * object or array argument.
+     */
+    function isQueryValue(node) {
+      let current = getChainEnd(node);
+      for (;;) {
+        const { parent } = current;
+        if (
+          parent.type === "CallExpression" &&
+          parent.arguments.includes(current)
+        ) {
+          return isQueryCall(parent);
+        }
+        if (
+          (parent.type === "Property" && parent.value === current) ||
+          parent.type === "ObjectExpression" ||
+          parent.type === "ArrayExpression" ||
+          parent.type === "SpreadElement"
+        ) {
+          current = parent;
+        } else {
+          return false;
+        }
+      }
+    }
+
+    /**
+     * Return `true` when `call` belongs to a Knex builder chain (on a knex
+     * instance or a transaction) or to an Objection.js query.
+     */
+    function isQueryCall(call) {
+      const root = resolveRootReceiver(call.callee);
+      return (
+        (root?.type === "Identifier" &&
+          (knexNameSet.has(root.name) || isTransaction(root))) ||
+        findQueryOrigin(call, looksLikeModelClass) != null
+      );
+    }
+
+    return mergeVisitors(transactions.visitors, {
+      CallExpression(node) {
+        const knex = getKnexReceiver(node);
+        if (knex == null || isQueryValue(node)) return;
+
+        const transacting = findChainedCall(node, "transacting");
+        if (transacting != null && isTransaction(transacting.arguments[0])) {
+          return;
+        }
+
+        const name = getAvailableTrx(node);
+        if (name == null) return;
+
+        context.report({
+          node,
+          messageId: "builderOutsideTrx",
+          data: { knex: knex.name, name },
+          fix(fixer) {
+            // An explicit `.transacting(other)` is left for manual review.
+            if (transacting != null || isAvailableTrxShadowed(node)) {
+              return null;
+            }
+            if (fixStyle === "transacting") {
+              return fixer.insertTextAfter(node, `.transacting(${name})`);
+            }
+            return fixer.replaceText(knex, name);
+          },
+        });
+      },
+    });
+  },
+};
+
+/**
+ * Return the last call of the method chain starting at `node`:
+ * `knex.select("id").from("users")` for `knex.select("id")`.
+ */
+function getChainEnd(node) {
+  let current = node;
+  for (;;) {
+    const { parent } = current;
+    if (parent.type === "ChainExpression") {
+      current = parent;
+    } else if (
+      parent.type === "MemberExpression" &&
+      parent.object === current &&
+      parent.parent.type === "CallExpression" &&
+      parent.parent.callee === parent
+    ) {
+      current = parent.parent;
+    } else {
+      return current;
+    }
+  }
+}
+
+export default rule;
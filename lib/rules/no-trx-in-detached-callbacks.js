@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Disallows capturing `trx` in callbacks that run detached
+ * from the function owning the transaction.
+ *
+ * Callbacks passed to `setTimeout()`, `process.nextTick()`, event emitter
+ * listeners, or the `.then()` of a promise chain nobody awaits run after
+ * the function returns — typically after the transaction was committed or
+ * rolled back, so any query on `trx` fails or silently runs against a
+ * finished transaction.
+ *
+ * The detached APIs are configurable with the `callees` option: exact
+ * callee names (`setTimeout`, `process.nextTick`) or `*.method` for any
+ * receiver (`*.on`), except listeners on a builder or stream of the
+ * transaction — a chain rooted at it or passed it (`User.query(trx)`),
+ * possibly stored in a `const` first.  Un-awaited `.then()` / `.catch()` / `.finally()` chains are always
+ * checked.
+ */
+
+import { findVariable } from "../utils/ast.js";
+import {
+  createTrxNameMatcher,
+  transactionNameSchema,
+} from "../utils/transaction.js";
+
+const DEFAULT_CALLEES = [
+  "setTimeout",
+  "setInterval",
+  "setImmediate",
+  "queueMicrotask",
+  "process.nextTick",
+  "*.on",
+  "*.once",
+  "*.addListener",
+  "*.prependListener",
+  "*.prependOnceListener",
+];
+
+const PROMISE_METHODS = new Set(["then", "catch", "finally"]);
+
+/** @type {import("eslint").Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Disallow using `trx` in callbacks that run after the function owning the transaction has moved on.",
+      url: "https://github.com/adithya321/eslint-plugin-objection-trx/blob/main/docs/rules/no-trx-in-detached-callbacks.md",
+    },
+    messages: {
+      detachedCallback:
+        "`{{name}}` is captured by a callback passed to `{{callee}}()`, which can run after the transaction has finished. Do the work inside the transaction and await it.",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          ...transactionNameSchema,
+          callees: {
+            type: "array",
+            items: { type: "string" },
+            uniqueItems: true,
+            description:
+              "APIs whose callbacks run detached: exact callee names such as `process.nextTick`, or `*.method` for any receiver.",
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    defaultOptions: [{ names: ["trx"], callees: DEFAULT_CALLEES }],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+    const [{ callees, names, pattern }] = context.options;
+    const isTrxName = createTrxNameMatcher(names, pattern);
+    const exactCallees = new Set(callees.filter((c) => !c.startsWith("*.")));
+    const anyReceiverMethods = new Set(
+      callees.filter((c) => c.startsWith("*.")).map((c) => c.slice(2)),
+    );
+    const reported = new Set();
+
+    /**
+     * Return the display name of a detached callee, or `null` when the
+     * call does not detach its callbacks.
+     */
+    function getDetachedCallee(call) {
+      const { callee } = call;
+      const name = getDottedName(callee);
+      if (name != null && exactCallees.has(name)) return name;
+      if (callee.type !== "MemberExpression" || callee.computed) return null;
+
+      const methodName = callee.property.name;
+      // Listeners on the transaction itself run while it is alive.
+      if (
+        callee.object.type === "Identifier" &&
+        isTrxName(callee.object.name)
+      ) {
+        return null;
+      }
+      if (anyReceiverMethods.has(methodName)) {
+        // Listeners on a builder or stream of the transaction
+        // (`trx("users").stream().on(…)`) run while it is alive too.
+        if (isTransactionChain(callee.object)) return null;
+        return `.${methodName}`;
+      }
+      if (PROMISE_METHODS.has(methodName) && isFloatingChain(call)) {
+        return `.${methodName}`;
+      }
+      return null;
+    }
+
+    /**
+     * Return `true` when the method chain `node` runs on the transaction:
+     * it is rooted at `trx` or passes `trx` to one of its calls
+     * (`User.query(trx)`, `.transacting(trx)`).  Constants are followed to
+     * their initializer (`const stream = trx("users").stream()`).
+     */
+    function isTransactionChain(node) {
+      const seen = new Set();
+      let current = node;
+      while (current) {
+        if (current.type === "ChainExpression") {
+          current = current.expression;
+        } else if (current.type === "CallExpression") {
+          if (current.arguments.some(isTrxIdentifier)) return true;
+          current = current.callee;
+        } else if (current.type === "MemberExpression") {
+          current = current.object;
+        } else if (current.type === "Identifier") {
+          if (isTrxName(current.name)) return true;
+          const init = getConstantInit(current);
+          if (init == null || seen.has(init)) return false;
+          seen.add(init);
+          current = init;
+        } else {
+          return false;
+        }
+      }
+      return false;
+    }
+
+    function isTrxIdentifier(node) {
+      return node.type === "Identifier" && isTrxName(node.name);
+    }
+
+    /**
+     * Return the initializer of the variable `identifier` refers to when
+     * it is never reassigned, or `null`.
+     */
+    function getConstantInit(identifier) {
+      const variable = findVariable(
+        sourceCode.getScope(identifier),
+        identifier.name,
+      );
+      const def = variable?.defs.length === 1 ? variable.defs[0] : null;
+      if (
+        def?.type !== "Variable" ||
+        def.node.id !== def.name ||
+        def.node.init == null ||
+        variable.references.some(
+          (ref) => ref.isWrite() && ref.identifier !== def.name,
+        )
+      ) {
+        return null;
+      }
+      return def.node.init;
+    }
+
+    /**
+     * Report the references of `callback` to transactions declared by an
+     * enclosing function.
+     */
+    function checkCallback(callback, callee) {
+      const scope = sourceCode.getScope(callback);
+      for (const reference of scope.through) {
+        const { identifier, resolved } = reference;
+        if (
+          resolved == null ||
+          !isTrxName(identifier.name) ||
+          resolved.scope.variableScope.type !== "function" ||
+          reported.has(identifier)
+        ) {
+          continue;
+        }
+        reported.add(identifier);
+        context.report({
+          node: identifier,
+          messageId: "detachedCallback",
+          data: { name: identifier.name, callee },
+        });
+      }
+    }
+
+    return {
+      CallExpression(node) {
+        const callbacks = node.arguments.filter(isFunction);
+        if (callbacks.length === 0) return;
+        const callee = getDetachedCallee(node);
+        if (callee == null) return;
+        for (const callback of callbacks) checkCallback(callback, callee);
+      },
+    };
+  },
+};
+
+/**
+ * Return `a.b.c` for a callee made of identifiers and non-computed member
+ * accesses, or `null`.
+ */
+function getDottedName(node) {
+  if (node.type === "Identifier") return node.name;
+  if (node.type !== "MemberExpression" || node.computed) return null;
+  const object = getDottedName(node.object);
+  return object == null ? null : `${object}.${node.property.name}`;
+}
+
+/**
+ * Return `true` when the promise chain ending in `call` is a bare
+ * expression statement: neither awaited, returned nor stored.
+ */
+function isFloatingChain(call) {
+  let current = call;
+  for (;;) {
+    const { parent } = current;
+    if (parent.type === "ChainExpression") {
+      current = parent;
+    } else if (
+      parent.type === "MemberExpression" &&
+      parent.object === current &&
+      parent.parent.type === "CallExpression" &&
+      parent.parent.callee === parent
+    ) {
+      current = parent.parent;
+    } else {
+      return parent.type === "ExpressionStatement";
+    }
+  }
+}
+
+function isFunction(node) {
+  return (
+    node.type === "ArrowFunctionExpression" ||
+    node.type === "FunctionExpression"
+  );
+}
+
+export default rule;
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Reports uses of a transaction after it was committed or
+ * rolled back in the same function.
+ *
+ * `require-trx-forwarding` only stops asking for `trx` after
+ * `trx.commit()` / `trx.rollback()`; a `Model.query(trx)` written after the
+ * commit throws "Transaction query already complete" at runtime.
+ *
+ * Detects, once `trx.commit()` / `trx.rollback()` has run on every path
+ * leading to the code (tracked with ESLint's code path analysis):
+ *  - forwarding the transaction (`Model.query(trx)`, `{ transaction: trx }`)
+ *  - using it as a query builder (`trx('table')`, `trx.raw(sql)`)
+ *  - finalizing it a second time
+ *
+ * `trx.isCompleted()` and `trx.executionPromise` stay allowed.
+ */
+
+import { mergeVisitors } from "../utils/ast.js";
+import { createFinalizationTracker } from "../utils/finalization.js";
+import {
+  createTrxNameMatcher,
+  transactionNameSchema,
+} from "../utils/transaction.js";
+
+/**
+ * Transaction members that are meant to be read after completion.
+ */
+const ALLOWED_MEMBERS = new Set(["isCompleted", "executionPromise"]);
+
+/** @type {import("eslint").Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Disallow using `trx` after `trx.commit()` or `trx.rollback()` in the same function.",
+      url: "https://github.com/adithya321/eslint-plugin-objection-trx/blob/main/docs/rules/no-trx-use-after-finalize.md",
+    },
+    messages: {
+      useAfterFinalize:
+        "`{{name}}` is used after it was committed or rolled back. The transaction is already complete and any query on it will fail.",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: { ...transactionNameSchema },
+        additionalProperties: false,
+      },
+    ],
+    defaultOptions: [{ names: ["trx"] }],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+    const [{ names, pattern }] = context.options;
+    const isTrxName = createTrxNameMatcher(names, pattern);
+    const finalization = createFinalizationTracker(sourceCode, (identifier) =>
+      isTrxName(identifier.name),
+    );
+
+    return mergeVisitors(finalization.visitors, {
+      Identifier(node) {
+        if (!isTrxName(node.name) || isAllowedMember(node)) return;
+
+        const reference = sourceCode
+          .getScope(node)
+          .references.find((ref) => ref.identifier === node);
+        if (reference == null || !reference.isRead()) return;
+
+        if (finalization.isFinalized(reference.resolved ?? node.name, "must")) {
+          context.report({
+            node,
+            messageId: "useAfterFinalize",
+            data: { name: node.name },
+          });
+        }
+      },
+    });
+  },
+};
+
+/**
+ * Return `true` for `trx.isCompleted()` / `trx.executionPromise`.
+ */
+function isAllowedMember(identifier) {
+  const { parent } = identifier;
+  return (
+    parent.type === "MemberExpression" &&
+    parent.object === identifier &&
+    !parent.computed &&
+    ALLOWED_MEMBERS.has(parent.property.name)
+  );
+}
+
+export default rule;
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Disallows starting an independent transaction inside a
+ * function that already has `trx` available.
+ *
+ * `Model.transaction(async (inner) => …)` or `knex.transaction(…)` opens a
+ * new top-level transaction on its own connection rather than a savepoint
+ * of the outer one, so rolling back `trx` does not undo its writes (and it
+ * can deadlock on rows the outer transaction holds).
+ *
+ * Detects, while `trx` is available:
+ *  - `Model.transaction(cb)`             →  `Model.transaction(trx, cb)`
+ *  - `Model.startTransaction()`          →  `Model.startTransaction(trx)`
+ *  - `knex.transaction(cb)`, `Model.knex().transaction(cb)`  →  `trx.transaction(cb)`
+ *
+ * Only the `Model.transaction(cb)` / `Model.startTransaction()` forms are
+ * auto-fixed; a connection passed explicitly (`Model.transaction(knex, cb)`)
+ * is left for manual review.
+ */
+
+import { insertArgument, mergeVisitors } from "../utils/ast.js";
+import {
+  createTransactionTracker,
+  transactionNameSchema,
+  transactionTrackerSchema,
+} from "../utils/transaction.js";
+
+/**
+ * Static Model methods that start a transaction.  Both take the parent
+ * connection / transaction as their first argument:
+ * `Model.transaction(trxOrKnex, cb)`, `Model.startTransaction(trxOrKnex)`.
+ */
+const MODEL_TRANSACTION_METHODS = new Set(["transaction", "startTransaction"]);
+
+/** @type {import("eslint").Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Disallow starting a transaction that is not nested in the `trx` already available.",
+      url: "https://github.com/adithya321/eslint-plugin-objection-trx/blob/main/docs/rules/no-unlinked-nested-transaction.md",
+    },
+    fixable: "code",
+    messages: {
+      unlinkedModelTransaction:
+        "`{{callee}}()` starts a new top-level transaction while `{{name}}` is available, so rolling back `{{name}}` will not undo it. Pass `{{name}}` as the first argument to nest it.",
+      unlinkedKnexTransaction:
+        "`{{callee}}()` starts a new top-level transaction while `{{name}}` is available, so rolling back `{{name}}` will not undo it. Use `{{name}}.transaction()` to nest it.",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          ...transactionNameSchema,
+          ...transactionTrackerSchema,
+          knexNames: {
+            type: "array",
+            items: { type: "string" },
+            uniqueItems: true,
+            description:
+              "Identifiers that hold a (non-transaction) knex instance.",
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    defaultOptions: [{ names: ["trx"], knexNames: ["knex"] }],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+    const transactions = createTransactionTracker(context, context.options[0]);
+    const {
+      isTransaction,
+      isKnexReceiver,
+      isModelReceiver,
+      getAvailableTrx,
+      isAvailableTrxShadowed,
+    } = transactions;
+
+    return mergeVisitors(transactions.visitors, {
+      CallExpression(node) {
+        const { callee } = node;
+        if (callee.type !== "MemberExpression" || callee.computed) return;
+        const methodName = callee.property.name;
+
+        if (methodName === "transaction" && isKnexReceiver(callee.object)) {
+          const name = getAvailableTrx(node);
+          if (name == null) return;
+          context.report({
+            node,
+            messageId: "unlinkedKnexTransaction",
+            data: { callee: sourceCode.getText(callee), name },
+          });
+          return;
+        }
+
+        if (
+          !MODEL_TRANSACTION_METHODS.has(methodName) ||
+          !isModelReceiver(callee.object)
+        ) {
+          return;
+        }
+
+        const [arg] = node.arguments;
+        if (arg?.type === "SpreadElement" || isTransaction(arg)) return;
+
+        const name = getAvailableTrx(node);
+        if (name == null) return;
+
+        context.report({
+          node,
+          messageId: "unlinkedModelTransaction",
+          data: { callee: sourceCode.getText(callee), name },
+          fix: isAvailableTrxShadowed(node)
+            ? null
+            : getFix(node, methodName, sourceCode, name),
+        });
+      },
+    });
+  },
+};
+
+/**
+ * Return a fixer that passes `name` as the parent transaction: inserted
+ * before the callback of `Model.transaction(cb)`, or as the only argument
+ * of `Model.startTransaction()`.  Calls that already pass a connection are
+ * not fixed.
+ */
+function getFix(node, methodName, sourceCode, name) {
+  const args = node.arguments;
+  if (methodName === "transaction" && args.length === 1) {
+    return (fixer) => fixer.insertTextBefore(args[0], `${name}, `);
+  }
+  if (methodName === "startTransaction" && args.length === 0) {
+    return (fixer) => insertArgument(fixer, node, 0, sourceCode, name);
+  }
+  return null;
+}
+
+export default rule;
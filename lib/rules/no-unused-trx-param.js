@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Reports transaction parameters that are never read.
+ *
+ * A function that accepts `trx` but never references it runs all of its
+ * work outside the transaction: its queries, Knex builders and helper calls
+ * silently fall back to the default connection.  Reported bindings are
+ * parameters holding a transaction by name (`trx`, `trx = null`), by origin
+ * (`Model.transaction(async (t) => …)`), or destructured from an options
+ * object (`{ trx }`, `{ trx: t }`).
+ *
+ * `ignoreUnderscorePrefixed` (default `true`) skips `_trx`-style names that
+ * mark a parameter as intentionally unused; `ignoreInterfaceMethods`
+ * skips the methods of classes that `implements` an interface, whose
+ * signature is imposed by it.  TypeScript parameter properties
+ * (`constructor(private trx)`) are read through `this` and never reported.
+ */
+
+import {
+  createTransactionTracker,
+  transactionNameSchema,
+} from "../utils/transaction.js";
+
+/** @type {import("eslint").Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "problem",
+    docs: {
+      description: "Disallow transaction parameters that are never used.",
+      url: "https://github.com/adithya321/eslint-plugin-objection-trx/blob/main/docs/rules/no-unused-trx-param.md",
+    },
+    messages: {
+      unusedTrxParam:
+        "`{{name}}` is a transaction parameter but is never used, so this function's queries run outside the transaction. Forward `{{name}}` or remove the parameter.",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          ...transactionNameSchema,
+          ignoreUnderscorePrefixed: {
+            type: "boolean",
+            description:
+              "Whether to ignore parameters whose name starts with `_`.",
+          },
+          ignoreInterfaceMethods: {
+            type: "boolean",
+            description:
+              "Whether to ignore methods of classes that `implements` an interface.",
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    defaultOptions: [
+      {
+        names: ["trx"],
+        ignoreUnderscorePrefixed: true,
+        ignoreInterfaceMethods: false,
+      },
+    ],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+    const [
+      { ignoreUnderscorePrefixed, ignoreInterfaceMethods, ...nameOptions },
+    ] = context.options;
+    const { isTrxName, isTransaction } = createTransactionTracker(
+      context,
+      nameOptions,
+    );
+
+    /**
+     * Return `true` when the parameter binding `identifier` holds a
+     * transaction, including `{ trx: t }` destructured from an options
+     * object.
+     */
+    function isTrxParam(identifier) {
+      if (isTransaction(identifier)) return true;
+      const target =
+        identifier.parent.type === "AssignmentPattern" &&
+        identifier.parent.left === identifier
+          ? identifier.parent
+          : identifier;
+      const { parent } = target;
+      return (
+        parent.type === "Property" &&
+        parent.value === target &&
+        parent.parent.type === "ObjectPattern" &&
+        !parent.computed &&
+        parent.key.type === "Identifier" &&
+        isTrxName(parent.key.name)
+      );
+    }
+
+    return {
+      ":function"(node) {
+        if (ignoreInterfaceMethods && isInterfaceMethod(node)) return;
+
+        for (const variable of sourceCode.getDeclaredVariables(node)) {
+          const [def] = variable.defs;
+          if (
+            def?.type !== "Parameter" ||
+            isParameterProperty(def.name) ||
+            (ignoreUnderscorePrefixed && variable.name.startsWith("_")) ||
+            variable.references.some((ref) => ref.isRead()) ||
+            !isTrxParam(def.name)
+          ) {
+            continue;
+          }
+          context.report({
+            node: def.name,
+            messageId: "unusedTrxParam",
+            data: { name: variable.name },
+          });
+        }
+      },
+    };
+  },
+};
+
+/**
+ * Return `true` when `fn` is a method of a class with an `implements`
+ * clause.
+ */
+function isInterfaceMethod(fn) {
+  const { parent } = fn;
+  if (
+    parent.type !== "MethodDefinition" &&
+    parent.type !== "PropertyDefinition"
+  ) {
+    return false;
+  }
+  return parent.parent.parent.implements?.length > 0;
+}
+
+/**
+ * Return `true` when the parameter binding `identifier` declares a
+ * TypeScript parameter property (`constructor(private trx)`).
+ */
+function isParameterProperty(identifier) {
+  let node = identifier.parent;
+  if (node.type === "AssignmentPattern") node = node.parent;
+  return node.type === "TSParameterProperty";
+}
+
+export default rule;
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Requires a transaction around functions that perform
+ * several Objection.js writes.
+ *
+ * Two writes without a transaction — `User.query().insert(…)` followed by
+ * `Profile.query().insert(…)` — leave partial data behind when the second
+ * one fails.  This rule counts the write operations of each function that
+ * run without a transaction and reports once they exceed `maxWrites`.  A
+ * write inside a loop runs any number of times and is always reported.
+ *
+ * A write runs without a transaction when its chain's originating query
+ * (`User.query()`, `user.$relatedQuery("pets")`, …) is not passed one, the
+ * chain is not bound with `.transacting(trx)`, and no `trx` is in scope
+ * (a `trx` that is in scope but not forwarded is reported by
+ * `require-trx-forwarding` instead).  Queries are recognised with the same
+ * method table as `require-trx-forwarding`, extended by `methods`.
+ */
+
+import { findChainedCall, mergeVisitors } from "../utils/ast.js";
+import { createModelDetector } from "../utils/models.js";
+import {
+  WRITE_METHODS,
+  createMethodTable,
+  findQueryOrigin,
+  isTransactionPassed,
+  queryMethodsSchema,
+} from "../utils/queries.js";
+import {
+  createTransactionTracker,
+  transactionNameSchema,
+  transactionTrackerSchema,
+} from "../utils/transaction.js";
+
+/** @type {import("eslint").Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Require a transaction when a function performs several Objection.js writes.",
+      url: "https://github.com/adithya321/eslint-plugin-objection-trx/blob/main/docs/rules/require-transaction-for-multiple-writes.md",
+    },
+    messages: {
+      multipleWrites:
+        "This function performs {{count}} Objection.js writes without a transaction, so a failure part-way through leaves partial data. Run them in a transaction and pass `trx` to each query.",
+      writesInLoop:
+        "This function performs Objection.js writes in a loop without a transaction, so a failure part-way through leaves partial data. Run the loop in a transaction and pass `trx` to each query.",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          ...transactionNameSchema,
+          ...transactionTrackerSchema,
+          ...queryMethodsSchema,
+          maxWrites: {
+            type: "integer",
+            minimum: 1,
+            description:
+              "Number of writes a function may perform without a transaction.",
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    defaultOptions: [{ names: ["trx"], maxWrites: 1 }],
+  },
+
+  create(context) {
+    const [{ maxWrites, methods: methodOptions, ...nameOptions }] =
+      context.options;
+    const transactions = createTransactionTracker(context, nameOptions);
+    const { isTransaction, getAvailableTrx } = transactions;
+    const looksLikeModelClass = createModelDetector(context);
+    const methods = createMethodTable(methodOptions);
+
+    // Writes without a transaction, per enclosing function.
+    const functionStack = [];
+
+    /**
+     * Return `true` when the write `node` runs without a transaction.
+     */
+    function isUntransactedWrite(node) {
+      const origin = findQueryOrigin(
+        node.callee.object,
+        looksLikeModelClass,
+        methods,
+      );
+      if (origin == null) return false;
+      if (isTransactionPassed(origin.call, origin.spec, isTransaction)) {
+        return false;
+      }
+      const transacting = findChainedCall(node, "transacting");
+      if (transacting != null && isTransaction(transacting.arguments[0])) {
+        return false;
+      }
+      return getAvailableTrx(node) == null;
+    }
+
+    return mergeVisitors(transactions.visitors, {
+      ":function"() {
+        functionStack.push([]);
+      },
+      ":function:exit"() {
+        const writes = functionStack.pop();
+        const loopWrite = writes.find(isInLoop);
+        if (loopWrite != null) {
+          context.report({ node: loopWrite, messageId: "writesInLoop" });
+          return;
+        }
+        if (writes.length <= maxWrites) return;
+        context.report({
+          node: writes[maxWrites],
+          messageId: "multipleWrites",
+          data: { count: writes.length },
+        });
+      },
+
+      CallExpression(node) {
+        const { callee } = node;
+        if (
+          functionStack.length === 0 ||
+          callee.type !== "MemberExpression" ||
+          callee.computed ||
+          !WRITE_METHODS.has(callee.property.name) ||
+          !isUntransactedWrite(node)
+        ) {
+          return;
+        }
+        functionStack[functionStack.length - 1].push(node);
+      },
+    });
+  },
+};
+
+/**
+ * Return `true` when `node` runs repeatedly in a loop of its function:
+ * inside a loop body, test or update, but not the iterated expression of
+ * `for…of` / `for…in` or the initializer of `for`, which run once.
+ */
+function isInLoop(node) {
+  let child = node;
+  for (let current = node.parent; current; current = current.parent) {
+    switch (current.type) {
+      case "ForStatement":
+        if (child !== current.init) return true;
+        break;
+      case "ForInStatement":
+      case "ForOfStatement":
+        if (child !== current.right) return true;
+        break;
+      case "WhileStatement":
+      case "DoWhileStatement":
+        return true;
+      case "FunctionDeclaration":
+      case "FunctionExpression":
+      case "ArrowFunctionExpression":
+        return false;
+      default:
+        break;
+    }
+    child = current;
+  }
+  return false;
+}
+
+export default rule;
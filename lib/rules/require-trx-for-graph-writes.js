@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Requires graph writes to run in an explicit transaction.
+ *
+ * `insertGraph()` / `upsertGraph()` issue one statement per node of the
+ * graph, and Objection.js recommends always running them in a transaction
+ * so a failure does not leave half a graph behind.  Unlike
+ * `require-trx-forwarding`, which only checks queries while `trx` is in
+ * scope, this rule reports every graph write whose query is not passed a
+ * transaction (`User.query(trx)`), bound with `.transacting(trx)`, or run
+ * on a Model class bound to one (`User.bindKnex(trx).query()`).
+ *
+ * The checked methods are configurable with `graphMethods`; models listed in
+ * `allowedModels` are exempt.  The allowlist matches the Model class a
+ * static query starts from (`AuditLog.query()`, or the enclosing class for
+ * `this.query()`); instance queries (`entry.$relatedQuery()`) have no
+ * statically known model and are always checked.
+ */
+
+import { findChainedCall, getEnclosingClass } from "../utils/ast.js";
+import { createModelDetector, resolveRootReceiver } from "../utils/models.js";
+import { findQueryOrigin } from "../utils/queries.js";
+import {
+  createTransactionTracker,
+  transactionNameSchema,
+  transactionTrackerSchema,
+} from "../utils/transaction.js";
+
+const DEFAULT_METHODS = [
+  "insertGraph",
+  "insertGraphAndFetch",
+  "upsertGraph",
+  "upsertGraphAndFetch",
+];
+
+/** @type {import("eslint").Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Require graph writes (`insertGraph()`, `upsertGraph()`, …) to run in an explicit transaction.",
+      url: "https://github.com/adithya321/eslint-plugin-objection-trx/blob/main/docs/rules/require-trx-for-graph-writes.md",
+    },
+    messages: {
+      missingTrx:
+        "`.{{method}}()` issues several statements and must run in a transaction, or a failure leaves a partial graph. Pass a transaction to `{{origin}}()` or bind the query with `.transacting()`.",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          ...transactionNameSchema,
+          ...transactionTrackerSchema,
+          graphMethods: {
+            type: "array",
+            items: { type: "string" },
+            uniqueItems: true,
+            description: "Query builder methods that require a transaction.",
+          },
+          allowedModels: {
+            type: "array",
+            items: { type: "string" },
+            uniqueItems: true,
+            description:
+              "Model classes whose graph writes may run without a transaction.",
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    defaultOptions: [
+      { names: ["trx"], graphMethods: DEFAULT_METHODS, allowedModels: [] },
+    ],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+    const [{ graphMethods, allowedModels, ...nameOptions }] = context.options;
+    const { isTransaction, isBoundToTransaction } = createTransactionTracker(
+      context,
+      nameOptions,
+    );
+    const looksLikeModelClass = createModelDetector(context);
+    const methodSet = new Set(graphMethods);
+    const allowedModelSet = new Set(allowedModels);
+
+    /**
+     * Return `true` when the static query `call` starts from a Model class
+     * listed in `allowedModels`.
+     */
+    function isAllowedModel(call) {
+      const root = resolveRootReceiver(call.callee.object);
+      if (root?.type === "Identifier") return allowedModelSet.has(root.name);
+      if (root?.type === "ThisExpression") {
+        const name = getEnclosingClass(root)?.id?.name;
+        return name != null && allowedModelSet.has(name);
+      }
+      return false;
+    }
+
+    return {
+      CallExpression(node) {
+        const { callee } = node;
+        if (
+          callee.type !== "MemberExpression" ||
+          callee.computed ||
+          !methodSet.has(callee.property.name)
+        ) {
+          return;
+        }
+        const origin = findQueryOrigin(callee.object, looksLikeModelClass);
+        if (origin?.spec.argument == null) return;
+        const { call, spec } = origin;
+
+        if (isTransaction(call.arguments[spec.argument])) return;
+        const transacting = findChainedCall(node, "transacting");
+        if (transacting != null && isTransaction(transacting.arguments[0])) {
+          return;
+        }
+        if (spec.model && isBoundToTransaction(call.callee.object)) return;
+        if (spec.model && isAllowedModel(call)) return;
+
+        context.report({
+          node: callee.property,
+          messageId: "missingTrx",
+          data: {
+            method: callee.property.name,
+            origin: sourceCode.getText(call.callee),
+          },
+        });
+      },
+    };
+  },
+};
+
+export default rule;
@@ -1,14 +1,60 @@
 /**
  * @fileoverview Ensures `trx` is forwarded to Objection.js database calls
  * inside functions that have a `trx` parameter or local variable available.
+ * The transaction identifier defaults to `trx` and can be configured with
+ * the `names` / `pattern` options (e.g. `tx`, `transaction`, `knexTrx`).
  *
  * Detects:
  *  - `.query()` called without `trx` as first arg  →  should be `.query(trx)`
  *  - `.$query()` called without `trx` as first arg →  should be `.$query(trx)`
  *  - `.$relatedQuery(x)` without `trx` as second arg →  should be `.$relatedQuery(x, trx)`
  *  - `.$fetchGraph(x)` without `{ transaction: trx }` option
- *  - `.transacting(trx)` usage → should use `{ transaction: trx }` option instead
+ *  - `Model.relatedQuery(x)` without `trx` as second arg →  should be `Model.relatedQuery(x, trx)`
+ *  - `Model.fetchGraph(m, x)` without `{ transaction: trx }` option
+ *  - `Model.knexQuery()` without `.transacting(trx)` in the chain
+ *  - `.transacting(trx)` usage → should use `{ transaction: trx }` option instead;
+ *    the fixer moves the transaction into the chain's originating call
+ *  - `User.query()` while `const BoundUser = User.bindKnex(trx)` is in
+ *    scope  →  should be `BoundUser.query()`; queries on bound models
+ *    count as forwarding `trx`
+ *
+ * The checked methods come from the shared method table
+ * (`DEFAULT_QUERY_METHODS`) that can be extended or overridden through the
+ * `methods` option.
+ */
+
+import {
+  findChainedCall,
+  insertArgument,
+  isKeyNamed,
+  mergeVisitors,
+} from "../utils/ast.js";
+import { createModelDetector } from "../utils/models.js";
+import {
+  DEFAULT_QUERY_METHODS,
+  createMethodTable,
+  findQueryOrigin,
+  isTransactionPassed,
+  queryMethodsSchema,
+} from "../utils/queries.js";
+import {
+  createTransactionTracker,
+  transactionNameSchema,
+  transactionTrackerSchema,
+} from "../utils/transaction.js";
+
+/**
+ * Dedicated messages of the original built-in methods; other entries use
+ * the generic message for their shape.
  */
+const MESSAGE_IDS = {
+  query: "missingTrxQuery",
+  $query: "missingTrxInstanceQuery",
+  $relatedQuery: "missingTrxRelatedQuery",
+  $fetchGraph: "missingTrxFetchGraph",
+};
+
+const ORDINALS = ["first", "second", "third", "fourth", "fifth"];
 
 /** @type {import("eslint").Rule.RuleModule} */
 const rule = {
@@ -17,365 +63,420 @@ const rule = {
     docs: {
       description:
         "Require forwarding `trx` to Objection.js database calls when available. " +
-        "Only detects the identifier named exactly `trx` — variables named `tx`, `transaction`, etc. are ignored.",
+        "Other transaction identifiers (`tx`, `transaction`, …) can be configured with the `names` and `pattern` options.",
       url: "https://github.com/adithya321/eslint-plugin-objection-trx/blob/main/docs/rules/require-trx-forwarding.md",
     },
     fixable: "code",
+    hasSuggestions: true,
     messages: {
       missingTrxQuery:
-        "`.query()` called without `trx` inside a function that has `trx` available. Pass `trx` as the first argument.",
+        "`.query()` called without `{{name}}` inside a function that has `{{name}}` available. Pass `{{name}}` as the first argument.",
       missingTrxInstanceQuery:
-        "`.$query()` called without `trx` inside a function that has `trx` available. Pass `trx` as the first argument.",
+        "`.$query()` called without `{{name}}` inside a function that has `{{name}}` available. Pass `{{name}}` as the first argument.",
       missingTrxRelatedQuery:
-        "`.$relatedQuery()` called without `trx` inside a function that has `trx` available. Pass `trx` as the second argument.",
+        "`.$relatedQuery()` called without `{{name}}` inside a function that has `{{name}}` available. Pass `{{name}}` as the second argument.",
       missingTrxFetchGraph:
-        "`.$fetchGraph()` called without `{ transaction: trx }` inside a function that has `trx` available. Pass `{ transaction: trx }` as the second argument.",
+        "`.$fetchGraph()` called without `{ transaction: {{name}} }` inside a function that has `{{name}}` available. Pass `{ transaction: {{name}} }` as the second argument.",
+      missingTrxArgument:
+        "`.{{method}}()` called without `{{name}}` inside a function that has `{{name}}` available. Pass `{{name}}` as the {{ordinal}} argument.",
+      missingTrxOption:
+        "`.{{method}}()` called without `{ transaction: {{name}} }` inside a function that has `{{name}}` available. Pass `{ transaction: {{name}} }` as the {{ordinal}} argument.",
+      missingTrxTransacting:
+        "`.{{method}}()` returns a Knex query builder that is not bound to `{{name}}`. Chain `.transacting({{name}})` onto it.",
+      missingTrxHelperArgument:
+        "`{{callee}}()` takes a transaction as its {{ordinal}} argument but is called without `{{name}}`. Pass `{{name}}` as the {{ordinal}} argument.",
+      moveTransacting:
+        "Replace `{{existing}}` with `{{argument}}` in `.{{method}}()` and remove `.transacting()`.",
+      unboundModel:
+        "`{{model}}.{{method}}()` runs outside the transaction while `{{alias}}` is `{{model}}` bound to `{{name}}`. Use `{{alias}}.{{method}}()`.",
+      replaceArgument: "Replace `{{argument}}` with `{{name}}`.",
+      replaceTransactionOption:
+        "Replace the transaction option value with `{{name}}`.",
       preferTransactionOption:
-        "`.transacting()` is deprecated in Objection.js in favor of passing `{ transaction: trx }` as an option to the query method.",
+        "`.transacting()` is deprecated in Objection.js in favor of passing `{ transaction: {{name}} }` as an option to the query method.",
     },
-    schema: [],
+    schema: [
+      {
+        type: "object",
+        properties: {
+          ...transactionNameSchema,
+          ...transactionTrackerSchema,
+          typeAware: {
+            type: "boolean",
+            description:
+              "Detect transactions and transaction parameters by their TypeScript type. Requires type information from `@typescript-eslint/parser`; falls back to `names` / `pattern` without it.",
+          },
+          ...queryMethodsSchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+    defaultOptions: [{ names: ["trx"], typeAware: false }],
   },
 
   create(context) {
     const { sourceCode } = context;
-
-    // Track trx.commit() / trx.rollback() positions per function scope.
-    // When a query call appears after a commit/rollback in the same
-    // (or an ancestor) function scope, the transaction is no longer
-    // usable — we must NOT suggest adding `trx`.
-    const functionStack = [];
-
-    function enterFunction() {
-      functionStack.push([]);
-    }
-
-    function exitFunction() {
-      functionStack.pop();
-    }
+    const [{ methods: methodOptions, typeAware, ...nameOptions }] =
+      context.options;
+    const transactions = createTransactionTracker(context, {
+      ...nameOptions,
+      typeAware,
+    });
+    const {
+      isTransaction,
+      isBoundToTransaction,
+      findBoundModelAlias,
+      getAvailableTrx,
+      isAvailableTrxShadowed,
+      getTrxParameterIndex,
+    } = transactions;
+    const looksLikeModelClass = createModelDetector(context, { typeAware });
+    const methods = createMethodTable(methodOptions);
 
     /**
-     * Return `true` when a `trx.commit()` or `trx.rollback()` call
-     * appears at a source position before `node` in the current or
-     * any ancestor function scope on the stack.
+     * Type-aware mode: report calls to project functions whose parameter
+     * typed as a transaction is left out.  Only a missing trailing argument
+     * is reported — any value passed in the slot is the caller's choice.
      */
-    function isAfterTrxFinalized(node) {
-      for (const positions of functionStack) {
-        for (const pos of positions) {
-          if (pos < node.range[0]) return true;
-        }
-      }
-      return false;
-    }
+    function checkTrxParameter(node) {
+      const index = getTrxParameterIndex(node);
+      if (index == null || node.arguments.length > index) return;
+      if (node.arguments.some((arg) => arg.type === "SpreadElement")) return;
 
-    return {
-      FunctionDeclaration: enterFunction,
-      "FunctionDeclaration:exit": exitFunction,
-      FunctionExpression: enterFunction,
-      "FunctionExpression:exit": exitFunction,
-      ArrowFunctionExpression: enterFunction,
-      "ArrowFunctionExpression:exit": exitFunction,
+      const name = getAvailableTrx(node);
+      if (name == null) return;
 
+      context.report({
+        node,
+        messageId: "missingTrxHelperArgument",
+        data: {
+          callee: sourceCode.getText(node.callee),
+          name,
+          ordinal: ORDINALS[index] ?? "next",
+        },
+        fix: isAvailableTrxShadowed(node)
+          ? null
+          : fixArgument(node, index, sourceCode, name),
+      });
+    }
+
+    return mergeVisitors(transactions.visitors, {
       CallExpression(node) {
         const { callee } = node;
-        if (callee.type !== "MemberExpression" || callee.computed) return;
+        if (callee.type !== "MemberExpression" || callee.computed) {
+          checkTrxParameter(node);
+          return;
+        }
 
         const methodName = callee.property.name;
 
-        // Record trx.commit() and trx.rollback() positions so that
-        // later queries in the same scope are not flagged.
-        if (
-          (methodName === "commit" || methodName === "rollback") &&
-          callee.object.type === "Identifier" &&
-          callee.object.name === "trx" &&
-          functionStack.length > 0
-        ) {
-          functionStack[functionStack.length - 1].push(node.range[0]);
-        }
-
-        if (methodName === "query") {
-          if (
-            looksLikeModelClass(callee.object) &&
-            !isTrxForwarded(node.arguments[0]) &&
-            hasTrxInScope(node, sourceCode) &&
-            !isAfterTrxFinalized(node)
-          ) {
-            context.report({
-              node,
-              messageId: "missingTrxQuery",
-              fix: fixFirstArg(node, sourceCode),
-            });
-          }
-        } else if (methodName === "$query") {
-          if (
-            !isTrxForwarded(node.arguments[0]) &&
-            hasTrxInScope(node, sourceCode) &&
-            !isAfterTrxFinalized(node)
-          ) {
-            context.report({
-              node,
-              messageId: "missingTrxInstanceQuery",
-              fix: fixFirstArg(node, sourceCode),
-            });
-          }
-        } else if (methodName === "$relatedQuery") {
-          if (
-            !isTrxForwarded(node.arguments[1]) &&
-            hasTrxInScope(node, sourceCode) &&
-            !isAfterTrxFinalized(node)
-          ) {
-            context.report({
-              node,
-              messageId: "missingTrxRelatedQuery",
-              fix: fixSecondArg(node),
-            });
-          }
-        } else if (methodName === "$fetchGraph") {
-          if (
-            !hasTransactionOption(node) &&
-            hasTrxInScope(node, sourceCode) &&
-            !isAfterTrxFinalized(node)
-          ) {
+        if (methodName === "transacting") {
+          // Builders returned by `transacting` entries such as
+          // `Model.knexQuery()` are plain Knex builders.
+          const origin = findQueryOrigin(
+            callee.object,
+            looksLikeModelClass,
+            methods,
+          );
+          if (origin == null || origin.spec.transacting) return;
+          const name = getAvailableTrx(node);
+          if (name) {
             context.report({
               node,
-              messageId: "missingTrxFetchGraph",
-              fix: fixFetchGraphOption(node, sourceCode),
+              messageId: "preferTransactionOption",
+              data: { name },
+              ...createTransactingFix(node, origin, sourceCode),
             });
           }
-        } else if (methodName === "transacting") {
-          // No auto-fix: restructuring .transacting() chains into
-          // `{ transaction: trx }` options requires call-chain surgery.
-          if (
-            looksLikeObjectionChain(node) &&
-            hasTrxInScope(node, sourceCode) &&
-            !isAfterTrxFinalized(node)
-          ) {
-            context.report({ node, messageId: "preferTransactionOption" });
-          }
+          return;
+        }
+
+        const spec = methods.get(methodName);
+        if (spec == null) {
+          checkTrxParameter(node);
+          return;
+        }
+        if (spec.model && !looksLikeModelClass(callee.object)) return;
+        if (isTransactionPassed(node, spec, isTransaction)) return;
+        if (spec.model && isBoundToTransaction(callee.object)) return;
+
+        const name = getAvailableTrx(node);
+        // The bound alias would still run on a connection passed explicitly
+        // (`User.query(knex)`), so the slot is replaced instead.
+        const alias =
+          name &&
+          spec.model &&
+          callee.object.type === "Identifier" &&
+          !hasConnection(node, spec)
+            ? findBoundModelAlias(callee.object)
+            : null;
+        if (alias) {
+          context.report({
+            node,
+            messageId: "unboundModel",
+            data: {
+              model: callee.object.name,
+              method: methodName,
+              alias,
+              name,
+            },
+            fix: (fixer) => fixer.replaceText(callee.object, alias),
+          });
+        } else if (name) {
+          // A shadowed transaction name cannot be inserted here.
+          const shadowed = isAvailableTrxShadowed(node);
+          context.report({
+            node,
+            messageId: getMessageId(methodName, spec),
+            data: {
+              name,
+              method: methodName,
+              ordinal: ORDINALS[spec.argument ?? spec.option] ?? "next",
+            },
+            // A `.transacting(x)` further down the chain is moved into
+            // this call by its own fix.
+            fix:
+              shadowed || hasMovableTransacting(node)
+                ? null
+                : createFix(node, spec, sourceCode, name),
+            suggest: shadowed
+              ? []
+              : createSuggestions(node, spec, sourceCode, name),
+          });
         }
       },
-    };
+    });
   },
 };
 
 /**
- * Return `true` when `arg` is the identifier `trx`.
- *
- * No "shadowing" check is needed: when multiple enclosing functions each
- * declare `trx`, the innermost binding is the one the call-site forwards,
- * which is always the correct transaction.
+ * Return the message to report for a method table entry: the dedicated
+ * message of a built-in method, or the generic one for its shape.
  */
-function isTrxForwarded(arg) {
-  return arg != null && arg.type === "Identifier" && arg.name === "trx";
+function getMessageId(methodName, spec) {
+  if (spec === DEFAULT_QUERY_METHODS[methodName] && MESSAGE_IDS[methodName]) {
+    return MESSAGE_IDS[methodName];
+  }
+  if (spec.transacting) return "missingTrxTransacting";
+  return spec.option == null ? "missingTrxArgument" : "missingTrxOption";
 }
 
 /**
- * Return `true` when `objectNode` looks like an Objection.js Model class
- * (or a chain that originates from one).
- *
- * Objection.js `.query()` is a **static** method called on Model classes,
- * which follow PascalCase naming by convention (e.g. `Inventory.query(trx)`).
- * It is also common to call `.query()` on the result of a chain that starts
- * with a Model class, such as `Inventory.bindKnex(knex).query(trx)`.
- *
- * Non-Objection APIs such as the raw `pg` client (`connection.query()`) or
- * custom HTTP clients (`client.query()`) use camelCase / lowercase names.
- *
- * By requiring the **root** receiver of the chain to be a PascalCase
- * `Identifier`, we avoid false positives on unrelated `.query()` calls
- * while catching both direct and chained Objection usage in the codebase.
+ * Return `true` when the call `node` is passed a connection in the
+ * transaction slot of its method table entry `spec`: `User.query(knex)`,
+ * `{ transaction: knex }` or `.transacting(knex)`.
  */
-function looksLikeModelClass(objectNode) {
-  const root = resolveRootReceiver(objectNode);
-  if (root == null) return false;
-  // `this.query(trx)` in a static model method — `this` refers to the class
-  if (root.type === "ThisExpression") return true;
-  return root.type === "Identifier" && /^[A-Z]/.test(root.name);
+function hasConnection(node, spec) {
+  if (spec.transacting) return findChainedCall(node, "transacting") != null;
+  if (spec.option != null) {
+    const optionsArg = node.arguments[spec.option];
+    return (
+      optionsArg?.type === "ObjectExpression" &&
+      optionsArg.properties.some(
+        (p) => p.type === "Property" && isKeyNamed(p.key, "transaction"),
+      )
+    );
+  }
+  return node.arguments[spec.argument] != null;
 }
 
 /**
- * Walk through a chain of `CallExpression` / `MemberExpression` nodes
- * to find the leftmost (root) receiver.
- *
- * For example, given `Model.bindKnex(knex)`:
- *   CallExpression  →  callee: MemberExpression  →  object: Identifier("Model")
- * The root receiver is the `Identifier("Model")` node.
+ * Return the fixer matching the shape of a method table entry.
  */
-function resolveRootReceiver(node) {
-  let current = node;
-  while (current) {
-    if (current.type === "Identifier" || current.type === "ThisExpression") {
-      return current;
-    }
-    if (current.type === "ChainExpression") {
-      current = current.expression;
-    } else if (current.type === "CallExpression") {
-      current = current.callee;
-    } else if (current.type === "MemberExpression") {
-      current = current.object;
-    } else {
-      return null;
-    }
+function createFix(node, spec, sourceCode, name) {
+  if (spec.transacting) return fixTransacting(node, name);
+  if (spec.option != null) {
+    return fixOption(node, spec.option, sourceCode, name);
   }
-  return null;
+  return fixArgument(node, spec.argument, sourceCode, name);
 }
 
 /**
- * Return `true` when the call chain leading to `.transacting()` contains
- * an Objection.js model method (`.query()` on a PascalCase class,
- * `.$query()`, `.$relatedQuery()`, or `.$fetchGraph()`).
- *
- * Plain Knex query builders (e.g. `knex('table').where(…).transacting(trx)`)
- * do NOT go through Objection, so `.transacting(trx)` is the correct — and
- * only — way to bind them to a transaction.  We must avoid flagging those.
+ * Return editor suggestions for a call whose transaction slot already holds
+ * another value (`Model.query(knex)`, `{ transaction: knex }`).  The
+ * auto-fix leaves those alone, but replacing the value is almost always
+ * what the author meant.
  */
-function looksLikeObjectionChain(node) {
-  let current = node.callee.object; // receiver of .transacting()
-  while (current) {
-    if (
-      current.type === "CallExpression" &&
-      current.callee.type === "MemberExpression" &&
-      !current.callee.computed
-    ) {
-      const method = current.callee.property.name;
-      if (
-        method === "$query" ||
-        method === "$relatedQuery" ||
-        method === "$fetchGraph"
-      ) {
-        return true;
-      }
-      if (method === "query" && looksLikeModelClass(current.callee.object)) {
-        return true;
-      }
-      current = current.callee.object;
-    } else if (current.type === "ChainExpression") {
-      current = current.expression;
-    } else {
-      break;
-    }
+function createSuggestions(node, spec, sourceCode, name) {
+  if (spec.argument != null) {
+    const arg = node.arguments[spec.argument];
+    if (arg == null || arg.type === "SpreadElement") return [];
+    return [
+      {
+        messageId: "replaceArgument",
+        data: { argument: sourceCode.getText(arg), name },
+        fix: (fixer) => fixer.replaceText(arg, name),
+      },
+    ];
+  }
+  if (spec.option != null) {
+    const optionsArg = node.arguments[spec.option];
+    if (optionsArg?.type !== "ObjectExpression") return [];
+    const txProp = optionsArg.properties.find(
+      (p) => p.type === "Property" && isKeyNamed(p.key, "transaction"),
+    );
+    if (txProp == null) return [];
+    return [
+      {
+        messageId: "replaceTransactionOption",
+        data: { name },
+        fix: (fixer) =>
+          txProp.shorthand
+            ? fixer.replaceText(txProp, `transaction: ${name}`)
+            : fixer.replaceText(txProp.value, name),
+      },
+    ];
   }
-  return false;
+  return [];
 }
 
 /**
- * Return `true` when `node` has a binding named `trx` accessible
- * in its lexical scope.  Uses ESLint's built-in scope analysis,
- * which correctly handles parameters, variable declarations,
- * destructuring, catch clauses, and nested scopes.
- *
- * Skips the global scope so that ambient / config-level globals
- * (e.g. `globals: { trx: "readonly" }`) do not trigger the rule.
- *
- * Also checks that at least one definition of `trx` appears
- * **before** the call site, so `let`/`const` declarations that
- * come after the call (temporal dead zone) are not treated as
- * available.  Once `trx` is found in a scope the search stops,
- * because an inner binding shadows any outer `trx`.
+ * Return the single, non-spread argument of a `.transacting()` call — the
+ * value that can be moved into the originating call — or `null`.
  */
-function hasTrxInScope(node, sourceCode) {
-  let scope = sourceCode.getScope(node);
-  while (scope) {
-    if (scope.type === "global") break;
-    const variable = scope.set.get("trx");
-    if (variable) {
-      return variable.defs.some((def) => def.node.range[0] < node.range[0]);
-    }
-    scope = scope.upper;
-  }
-  return false;
+function getTransactingArgument(transacting) {
+  const [arg] = transacting.arguments;
+  return transacting.arguments.length === 1 && arg.type !== "SpreadElement"
+    ? arg
+    : null;
 }
 
 /**
- * Return `true` when `key` is the identifier or string literal `name`.
- * Handles both `{ transaction: trx }` (Identifier key) and
- * `{ "transaction": trx }` (Literal / string key).
+ * Return `true` when the chain started by `node` ends in a
+ * `.transacting(x)` whose value can be moved into `node`.
  */
-function isKeyNamed(key, name) {
-  if (key.type === "Identifier") return key.name === name;
-  if (key.type === "Literal") return key.value === name;
-  return false;
+function hasMovableTransacting(node) {
+  const transacting = findChainedCall(node, "transacting");
+  return transacting != null && getTransactingArgument(transacting) != null;
 }
 
 /**
- * For `$fetchGraph`, check whether the second argument contains
- * `{ transaction: trx }` — the value must be the identifier `trx`,
- * not an arbitrary expression.
+ * Return the `fix` / `suggest` properties for a `.transacting(x)` report.
+ *
+ * `Model.query().where(…).transacting(x)` is rewritten to
+ * `Model.query(x).where(…)`: the value moves into the originating call's
+ * transaction slot and the `.transacting()` link is removed.  This is only
+ * an auto-fix when the slot is empty (or already holds the same value);
+ * when it holds something else, replacing it is offered as a suggestion.
  */
-function hasTransactionOption(node) {
-  const secondArg = node.arguments[1];
-  if (!secondArg) return false;
-
-  // If the second arg is a variable/expression (not an object literal),
-  // we cannot statically verify it contains `{ transaction: trx }`.
-  // Give the benefit of the doubt — the caller likely built an options
-  // object that already includes the transaction.  Flagging these would
-  // produce false positives on perfectly valid code paths.
-  if (secondArg.type !== "ObjectExpression") return true;
+function createTransactingFix(node, { call, spec }, sourceCode) {
+  const arg = getTransactingArgument(node);
+  if (arg == null) return {};
+  const text = sourceCode.getText(arg);
+  const removeTransacting = (fixer) =>
+    fixer.removeRange([node.callee.object.range[1], node.range[1]]);
 
-  return secondArg.properties.some(
-    (prop) =>
-      prop.type === "Property" &&
-      isKeyNamed(prop.key, "transaction") &&
-      isTrxForwarded(prop.value),
-  );
+  const existing = getTransactionSlot(call, spec);
+  if (existing === undefined) {
+    const insert = createFix(call, spec, sourceCode, text);
+    return {
+      fix(fixer) {
+        const fix = insert(fixer);
+        return fix && [fix, removeTransacting(fixer)];
+      },
+    };
+  }
+  if (existing == null) return {};
+  if (sourceCode.getText(existing) === text) {
+    return { fix: removeTransacting };
+  }
+  return {
+    suggest: [
+      {
+        messageId: "moveTransacting",
+        data: {
+          argument: text,
+          existing: sourceCode.getText(existing),
+          method: call.callee.property.name,
+        },
+        fix: (fixer) => [
+          fixer.replaceText(existing, text),
+          removeTransacting(fixer),
+        ],
+      },
+    ],
+  };
 }
 
 /**
- * Return a fixer that inserts `trx` when the argument list is empty.
- * When a wrong argument is already present, we only report — replacing
- * an existing argument could silently change program semantics.
+ * Return the node currently in the transaction slot of an originating
+ * call: the positional argument or the `transaction` option value.
+ * Returns `undefined` when the slot is empty and can be filled by
+ * `createFix`, and `null` when it cannot be determined (earlier arguments
+ * missing, spread arguments, non-literal options).
  */
-function fixFirstArg(node, sourceCode) {
-  return (fixer) => {
-    if (node.arguments[0]) return null; // don't replace existing args
-    const openParen = sourceCode.getTokenAfter(node.callee, {
-      filter: (t) => t.value === "(",
-    });
-    return fixer.insertTextAfter(openParen, "trx");
-  };
+function getTransactionSlot(call, spec) {
+  const index = spec.argument ?? spec.option;
+  const args = call.arguments;
+  if (args.slice(0, index + 1).some((a) => a.type === "SpreadElement")) {
+    return null;
+  }
+  if (args.length === index) return undefined;
+  if (args.length < index) return null;
+  if (spec.argument != null) return args[index];
+
+  const options = args[index];
+  if (options.type !== "ObjectExpression") return null;
+  const txProp = options.properties.find(
+    (p) => p.type === "Property" && isKeyNamed(p.key, "transaction"),
+  );
+  return txProp?.value;
 }
 
 /**
- * Return a fixer that inserts `, trx` after the first argument.
- * When a wrong second argument is already present, we only report —
+ * Return a fixer that inserts `name` as argument `index` when that slot is
+ * empty.  When a wrong argument is already present, we only report —
  * replacing an existing argument could silently change program semantics.
+ * Nothing is inserted when earlier arguments are missing either.
  */
-function fixSecondArg(node) {
-  return (fixer) => {
-    if (node.arguments[1]) return null; // don't replace existing args
-    const firstArg = node.arguments[0];
-    if (!firstArg) return null;
-    return fixer.insertTextAfter(firstArg, ", trx");
-  };
+function fixArgument(node, index, sourceCode, name) {
+  return (fixer) => insertArgument(fixer, node, index, sourceCode, name);
 }
 
 /**
- * Return a fixer that adds `{ transaction: trx }` as the second argument
- * to `.$fetchGraph()`, or inserts the `transaction: trx` property into
- * an existing object literal.
+ * Return a fixer that adds `{ transaction: name }` as the options argument
+ * at `index` (e.g. the second argument of `.$fetchGraph()`), or inserts the
+ * `transaction: name` property into an existing object literal.
  */
-function fixFetchGraphOption(node, sourceCode) {
+function fixOption(node, index, sourceCode, name) {
   return (fixer) => {
-    const secondArg = node.arguments[1];
-    if (!secondArg) {
-      const firstArg = node.arguments[0];
-      if (!firstArg) return null;
-      return fixer.insertTextAfter(firstArg, ", { transaction: trx }");
+    const optionsArg = node.arguments[index];
+    if (!optionsArg) {
+      return insertArgument(
+        fixer,
+        node,
+        index,
+        sourceCode,
+        `{ transaction: ${name} }`,
+      );
     }
-    if (secondArg.type !== "ObjectExpression") return null;
-    const txProp = secondArg.properties.find(
+    if (optionsArg.type !== "ObjectExpression") return null;
+    const txProp = optionsArg.properties.find(
       (p) => p.type === "Property" && isKeyNamed(p.key, "transaction"),
     );
     if (txProp) {
       return null; // don't replace existing transaction value
     }
-    const openBrace = sourceCode.getFirstToken(secondArg);
-    if (secondArg.properties.length > 0) {
+    const openBrace = sourceCode.getFirstToken(optionsArg);
+    if (optionsArg.properties.length > 0) {
       // Insert before existing properties so that spread operators
       // cannot accidentally override the transaction binding.
-      return fixer.insertTextAfter(openBrace, " transaction: trx,");
+      return fixer.insertTextAfter(openBrace, ` transaction: ${name},`);
     }
-    return fixer.replaceText(secondArg, "{ transaction: trx }");
+    return fixer.replaceText(optionsArg, `{ transaction: ${name} }`);
+  };
+}
+
+/**
+ * Return a fixer that chains `.transacting(name)` directly onto the call
+ * (e.g. `Model.knexQuery()` → `Model.knexQuery().transacting(trx)`).
+ * When the chain already has a `.transacting()` with another value, we only
+ * report.
+ */
+function fixTransacting(node, name) {
+  return (fixer) => {
+    if (findChainedCall(node, "transacting")) return null;
+    return fixer.insertTextAfter(node, `.transacting(${name})`);
   };
 }
 
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Requires exported functions that run Objection.js queries
+ * to accept a transaction parameter.
+ *
+ * A data-access function that always runs on the default connection cannot
+ * be composed into a caller's transaction.  In the files matched by the
+ * `files` globs (every file when unset), this rule reports exported
+ * functions and methods of exported classes that start an Objection.js
+ * query (`User.query()`, `user.$relatedQuery()`, …) but take no
+ * transaction parameter (`trx`, `trx = null`, `{ trx } = {}`).
+ *
+ * Exports are ES module exports: `export function`, `export const f = …`,
+ * `export default`, and local functions or classes exported with
+ * `export { f }`.  Methods of repository classes holding the transaction in
+ * a field, and functions receiving it through one of the `paths`
+ * (`ctx.trx`), already have one and are not reported.
+ *
+ * The suggestion appends `trx` (`trx?: Knex.Transaction` in TypeScript) to
+ * the parameter list and forwards it to the queries whose transaction
+ * argument is the next empty slot.  The parameter is named after the first
+ * of `names`.  It is not offered without `names` (only a `pattern`), in
+ * TypeScript without `Knex` imported from `knex` to type it, or when a
+ * binding in the function would shadow the new parameter.
+ */
+
+import path from "node:path";
+import { minimatch } from "minimatch";
+import { insertArgument, mergeVisitors } from "../utils/ast.js";
+import { createModelDetector } from "../utils/models.js";
+import { getQueryMethod } from "../utils/queries.js";
+import {
+  createTransactionTracker,
+  findTrxParam,
+  transactionNameSchema,
+  transactionTrackerSchema,
+} from "../utils/transaction.js";
+
+/** @type {import("eslint").Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "suggestion",
+    docs: {
+      description:
+        "Require exported functions that run Objection.js queries to accept a transaction parameter.",
+      url: "https://github.com/adithya321/eslint-plugin-objection-trx/blob/main/docs/rules/require-trx-param-in-data-access-functions.md",
+    },
+    hasSuggestions: true,
+    messages: {
+      missingTrxParam:
+        "`{{name}}()` runs Objection.js queries but does not accept a transaction, so callers cannot run it in theirs. Add a `{{trx}}` parameter and forward it to its queries.",
+      addTrxParam: "Add a `{{trx}}` parameter and forward it to the queries.",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: {
+          ...transactionNameSchema,
+          paths: transactionTrackerSchema.paths,
+          files: {
+            type: "array",
+            items: { type: "string" },
+            uniqueItems: true,
+            description:
+              "Globs of the files to check, relative to the working directory. Every file is checked when unset.",
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+    defaultOptions: [{ names: ["trx"] }],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+    const [{ files, ...nameOptions }] = context.options;
+    if (files != null && !matchesFiles(context, files)) return {};
+
+    const transactions = createTransactionTracker(context, nameOptions);
+    const { isTrxName, getAvailableTrx } = transactions;
+    const looksLikeModelClass = createModelDetector(context);
+    const [trxName] = nameOptions.names;
+    // Local name of the `Knex` namespace imported from `knex`, typing the
+    // parameter in TypeScript.
+    let knexNamespace;
+    // Exported functions being visited, innermost last, with the queries
+    // found in them (nested callbacks included).
+    const functionStack = [];
+
+    /**
+     * Return the text of the parameter to append to `fn`, or `null` when
+     * none can be added.
+     */
+    function getParameter(fn) {
+      const last = fn.params[fn.params.length - 1];
+      if (
+        trxName == null ||
+        last?.type === "RestElement" ||
+        declaresName(sourceCode.getScope(fn), trxName)
+      ) {
+        return null;
+      }
+      if (!isTypeScript(context, fn)) return trxName;
+      if (knexNamespace === undefined) {
+        knexNamespace = findKnexNamespace(sourceCode.ast);
+      }
+      return knexNamespace && `${trxName}?: ${knexNamespace}.Transaction`;
+    }
+
+    function report(fn, queries) {
+      const param = getParameter(fn);
+      context.report({
+        node: getReportNode(fn),
+        messageId: "missingTrxParam",
+        data: { name: getFunctionName(fn), trx: trxName ?? "trx" },
+        suggest:
+          param == null
+            ? []
+            : [
+                {
+                  messageId: "addTrxParam",
+                  data: { trx: trxName },
+                  fix: (fixer) => [
+                    addParameter(fixer, fn, sourceCode, param),
+                    ...queries
+                      .filter(({ forward }) => forward)
+                      .map(({ call, spec }) =>
+                        insertArgument(
+                          fixer,
+                          call,
+                          spec.argument,
+                          sourceCode,
+                          trxName,
+                        ),
+                      )
+                      .filter((fix) => fix != null),
+                  ],
+                },
+              ],
+      });
+    }
+
+    return mergeVisitors(transactions.visitors, {
+      ":function"(node) {
+        if (
+          isExported(node, sourceCode) &&
+          findTrxParam(node, isTrxName) == null &&
+          getAvailableTrx(node.body) == null
+        ) {
+          functionStack.push({ node, queries: [] });
+        }
+      },
+      ":function:exit"(node) {
+        const entry = functionStack[functionStack.length - 1];
+        if (entry?.node !== node) return;
+        functionStack.pop();
+        if (entry.queries.length > 0) report(node, entry.queries);
+      },
+
+      CallExpression(node) {
+        const entry = functionStack[functionStack.length - 1];
+        if (entry == null) return;
+        const spec = getQueryMethod(node.callee, looksLikeModelClass);
+        if (spec == null) return;
+        // Queries in a nested function with its own transaction keep it.
+        entry.queries.push({
+          call: node,
+          spec,
+          forward: spec.argument != null && getAvailableTrx(node) == null,
+        });
+      },
+    });
+  },
+};
+
+/**
+ * Return `true` when the linted file matches one of the `files` globs.
+ */
+function matchesFiles(context, files) {
+  const relative = path
+    .relative(context.cwd, context.filename)
+    .split(path.sep)
+    .join("/");
+  return files.some((glob) => minimatch(relative, glob, { dot: true }));
+}
+
+/**
+ * Return `true` when `fn` is part of the module's exports: an exported
+ * function, or a public method of an exported class.
+ */
+function isExported(fn, sourceCode) {
+  const { parent } = fn;
+  if (
+    parent.type === "MethodDefinition" ||
+    parent.type === "PropertyDefinition"
+  ) {
+    if (
+      parent.kind === "constructor" ||
+      parent.kind === "get" ||
+      parent.kind === "set" ||
+      parent.key.type === "PrivateIdentifier" ||
+      parent.accessibility === "private" ||
+      parent.accessibility === "protected"
+    ) {
+      return false;
+    }
+    const classNode = parent.parent.parent;
+    return isExportedDeclaration(
+      classNode.parent.type === "VariableDeclarator"
+        ? classNode.parent
+        : classNode,
+      sourceCode,
+    );
+  }
+  if (parent.type === "VariableDeclarator" && parent.init === fn) {
+    return isExportedDeclaration(parent, sourceCode);
+  }
+  return isExportedDeclaration(fn, sourceCode);
+}
+
+/**
+ * Return `true` when the function, class or variable declaration `node` is
+ * exported: declared in an `export` statement, or exported by name
+ * (`export { f }`, `export default f`).
+ */
+function isExportedDeclaration(node, sourceCode) {
+  const declaration = node.type === "VariableDeclarator" ? node.parent : node;
+  if (
+    declaration.parent.type === "ExportNamedDeclaration" ||
+    declaration.parent.type === "ExportDefaultDeclaration"
+  ) {
+    return true;
+  }
+  return sourceCode.getDeclaredVariables(node).some((variable) =>
+    variable.references.some(({ identifier }) => {
+      const { parent } = identifier;
+      return (
+        (parent.type === "ExportSpecifier" && parent.local === identifier) ||
+        parent.type === "ExportDefaultDeclaration"
+      );
+    }),
+  );
+}
+
+/**
+ * Return the node naming `fn` — its identifier, method key or variable —
+ * or the function itself when anonymous.
+ */
+function getReportNode(fn) {
+  if (fn.id) return fn.id;
+  const { parent } = fn;
+  if (parent.type === "VariableDeclarator") return parent.id;
+  if (
+    parent.type === "MethodDefinition" ||
+    parent.type === "PropertyDefinition"
+  ) {
+    return parent.key;
+  }
+  return fn;
+}
+
+function getFunctionName(fn) {
+  const node = getReportNode(fn);
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "PrivateIdentifier") return `#${node.name}`;
+  if (node.type === "Literal") return String(node.value);
+  return "default";
+}
+
+/**
+ * Return `true` when `scope` or one of its descendants declares `name`.
+ */
+function declaresName(scope, name) {
+  return (
+    scope.set.has(name) ||
+    scope.childScopes.some((child) => declaresName(child, name))
+  );
+}
+
+/**
+ * Return `true` when `fn` is TypeScript: in a `.ts` file, or with type
+ * annotations on its parameters or return type.
+ */
+function isTypeScript(context, fn) {
+  return (
+    /\.[cm]?tsx?$/u.test(context.filename) ||
+    fn.returnType != null ||
+    fn.params.some(
+      (param) =>
+        (param.type === "AssignmentPattern" ? param.left : param)
+          .typeAnnotation != null,
+    )
+  );
+}
+
+/**
+ * Return the local name of the `Knex` namespace imported from `knex`
+ * (`import { Knex } from "knex"`, `import type { Knex as K } from "knex"`),
+ * or `null`.
+ */
+function findKnexNamespace(program) {
+  for (const statement of program.body) {
+    if (
+      statement.type !== "ImportDeclaration" ||
+      statement.source.value !== "knex"
+    ) {
+      continue;
+    }
+    const specifier = statement.specifiers.find(
+      ({ type, imported }) =>
+        type === "ImportSpecifier" &&
+        (imported.name ?? imported.value) === "Knex",
+    );
+    if (specifier != null) return specifier.local.name;
+  }
+  return null;
+}
+
+/**
+ * Return a fix appending the parameter `param` to the parameter list of
+ * `fn`, adding parentheses around a lone arrow function parameter.
+ */
+function addParameter(fixer, fn, sourceCode, param) {
+  const last = fn.params[fn.params.length - 1];
+  if (last == null) {
+    const openParen = sourceCode.getFirstToken(fn, {
+      filter: (token) => token.value === "(",
+    });
+    return fixer.insertTextAfter(openParen, param);
+  }
+  const before = sourceCode.getTokenBefore(fn.params[0]);
+  if (before.value !== "(") {
+    return fixer.replaceText(last, `(${sourceCode.getText(last)}, ${param})`);
+  }
+  return fixer.insertTextAfter(last, `, ${param}`);
+}
+
+export default rule;
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Requires forwarding `trx` to helpers declared in the same
+ * module that accept a transaction parameter.
+ *
+ * Calling `await saveAudit(data)` while `trx` is in scope, where the module
+ * declares `function saveAudit(data, trx)`, makes the helper run its
+ * queries on its own connection — outside the transaction.
+ *
+ * Helpers are looked up per file:
+ *  - function declarations and `const f = (…) => …` / `function` expressions
+ *  - class methods and arrow-function class fields called as `this.method()`
+ *
+ * A helper takes a transaction when one of its parameters is a transaction
+ * identifier (`trx`, `trx = null`) or a destructured `{ trx }` options
+ * object.
+ */
+
+import {
+  findVariable,
+  getEnclosingClassMember,
+  insertArgument,
+  isKeyNamed,
+  mergeVisitors,
+} from "../utils/ast.js";
+import {
+  createTransactionTracker,
+  findTrxParam,
+  transactionNameSchema,
+  transactionTrackerSchema,
+} from "../utils/transaction.js";
+
+/** @type {import("eslint").Rule.RuleModule} */
+const rule = {
+  meta: {
+    type: "problem",
+    docs: {
+      description:
+        "Require forwarding `trx` to functions in the same module that accept a transaction parameter.",
+      url: "https://github.com/adithya321/eslint-plugin-objection-trx/blob/main/docs/rules/require-trx-propagation-to-local-helpers.md",
+    },
+    fixable: "code",
+    messages: {
+      missingTrxArgument:
+        "`{{callee}}()` takes a transaction as `{{param}}` but is called without `{{name}}`. Pass `{{name}}` so it runs inside the transaction.",
+    },
+    schema: [
+      {
+        type: "object",
+        properties: { ...transactionNameSchema, ...transactionTrackerSchema },
+        additionalProperties: false,
+      },
+    ],
+    defaultOptions: [{ names: ["trx"] }],
+  },
+
+  create(context) {
+    const { sourceCode } = context;
+    const [nameOptions] = context.options;
+    const transactions = createTransactionTracker(context, nameOptions);
+    const {
+      isTrxName,
+      isTransaction,
+      getAvailableTrx,
+      isAvailableTrxShadowed,
+    } = transactions;
+
+    // Index of helper functions → transaction parameter, built lazily.
+    const trxParams = new WeakMap();
+
+    /**
+     * Return where `fn` takes its transaction (see `findTrxParam()`),
+     * cached per function.
+     */
+    function getTrxParam(fn) {
+      if (!trxParams.has(fn)) {
+        trxParams.set(fn, findTrxParam(fn, isTrxName));
+      }
+      return trxParams.get(fn);
+    }
+
+    /**
+     * Return the helper function a call resolves to in this module.
+     */
+    function resolveHelper(callee) {
+      if (callee.type === "Identifier") {
+        const variable = findVariable(sourceCode.getScope(callee), callee.name);
+        return variable ? getFunctionFromDefinition(variable.defs[0]) : null;
+      }
+      if (
+        callee.type === "MemberExpression" &&
+        !callee.computed &&
+        callee.object.type === "ThisExpression"
+      ) {
+        const member = getEnclosingClassMember(callee.object);
+        if (member == null) return null;
+        return findClassMethod(
+          member.parent,
+          callee.property.name,
+          member.type === "StaticBlock" || member.static,
+        );
+      }
+      return null;
+    }
+
+    return mergeVisitors(transactions.visitors, {
+      CallExpression(node) {
+        const helper = resolveHelper(node.callee);
+        if (helper == null) return;
+
+        const param = getTrxParam(helper);
+        if (param == null) return;
+
+        // Arguments spread before the slot make its position unknowable.
+        const before = node.arguments.slice(0, param.index + 1);
+        if (before.some((arg) => arg.type === "SpreadElement")) return;
+
+        const arg = node.arguments[param.index];
+        if (
+          param.key == null
+            ? isTransaction(arg)
+            : hasTrxProperty(arg, param.key, isTransaction)
+        ) {
+          return;
+        }
+
+        const name = getAvailableTrx(node);
+        if (name == null) return;
+
+        context.report({
+          node,
+          messageId: "missingTrxArgument",
+          data: {
+            callee: sourceCode.getText(node.callee),
+            param: param.key ?? param.name,
+            name,
+          },
+          fix:
+            param.key == null && !isAvailableTrxShadowed(node)
+              ? (fixer) =>
+                  insertArgument(fixer, node, param.index, sourceCode, name)
+              : null,
+        });
+      },
+    });
+  },
+};
+
+/**
+ * Return `true` when the argument passed for a destructured options
+ * parameter provides the transaction under `key`.  Non-literal arguments
+ * and spreads get the benefit of the doubt, like `$fetchGraph` options.
+ */
+function hasTrxProperty(arg, key, isTransaction) {
+  if (arg == null) return false;
+  if (arg.type !== "ObjectExpression") return true;
+  return arg.properties.some(
+    (prop) =>
+      prop.type === "SpreadElement" ||
+      (isKeyNamed(prop.key, key) && isTransaction(prop.value)),
+  );
+}
+
+/**
+ * Return the function created by a variable definition: a function
+ * declaration, or a declarator initialised with a function expression.
+ */
+function getFunctionFromDefinition(def) {
+  if (def == null) return null;
+  if (def.type === "FunctionName") return def.node;
+  if (
+    def.type === "Variable" &&
+    def.node.init &&
+    (def.node.init.type === "FunctionExpression" ||
+      def.node.init.type === "ArrowFunctionExpression")
+  ) {
+    return def.node.init;
+  }
+  return null;
+}
+
+/**
+ * Return the function implementing method `name` of a class body —
+ * a method definition or an arrow-function class field.
+ */
+function findClassMethod(classBody, name, isStatic) {
+  for (const member of classBody.body) {
+    if (
+      (member.type !== "MethodDefinition" &&
+        member.type !== "PropertyDefinition") ||
+      member.computed ||
+      member.static !== isStatic ||
+      member.key.type !== "Identifier" ||
+      member.key.name !== name ||
+      member.value == null
+    ) {
+      continue;
+    }
+    if (
+      member.value.type === "FunctionExpression" ||
+      member.value.type === "ArrowFunctionExpression"
+    ) {
+      return member.value;
+    }
+  }
+  return null;
+}
+
+export default rule;
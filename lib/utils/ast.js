@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Small AST and visitor helpers shared by the plugin's rules.
+ */
+
+/**
+ * Find the variable named `name` visible from `scope`.
+ */
+export function findVariable(scope, name) {
+  let current = scope;
+  while (current) {
+    const variable = current.set.get(name);
+    if (variable) return variable;
+    current = current.upper;
+  }
+  return null;
+}
+
+/**
+ * Return the class member whose body `thisNode` belongs to — a
+ * `MethodDefinition`, `PropertyDefinition` or `StaticBlock` — skipping
+ * arrow functions (which do not rebind `this`).  Returns `null` when `this`
+ * is bound by a plain function or is outside any class.
+ */
+export function getEnclosingClassMember(thisNode) {
+  let current = thisNode.parent;
+  while (current) {
+    if (
+      current.type === "FunctionDeclaration" ||
+      current.type === "FunctionExpression"
+    ) {
+      const { parent } = current;
+      return parent.type === "MethodDefinition" ? parent : null;
+    }
+    if (
+      current.type === "StaticBlock" ||
+      current.type === "PropertyDefinition"
+    ) {
+      return current;
+    }
+    current = current.parent;
+  }
+  return null;
+}
+
+/**
+ * Return the class whose body `thisNode` belongs to, or `null`.
+ */
+export function getEnclosingClass(thisNode) {
+  const member = getEnclosingClassMember(thisNode);
+  return member ? member.parent.parent : null;
+}
+
+/**
+ * Depth-first walk over an ESTree AST using the parser's visitor keys,
+ * calling `visit` for every node.
+ */
+export function walk(node, visitorKeys, visit) {
+  visit(node);
+  for (const key of visitorKeys[node.type] ?? []) {
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (child) walk(child, visitorKeys, visit);
+      }
+    } else if (value) {
+      walk(value, visitorKeys, visit);
+    }
+  }
+}
+
+/**
+ * Return the first `.methodName(…)` call chained onto the result of
+ * `node`, e.g. the `.transacting(trx)` in `Model.knexQuery().where(…)
+ * .transacting(trx)`, or `null` when the chain has no such call.
+ */
+export function findChainedCall(node, methodName) {
+  let current = node;
+  while (
+    current.parent.type === "MemberExpression" &&
+    current.parent.object === current &&
+    current.parent.parent.type === "CallExpression" &&
+    current.parent.parent.callee === current.parent
+  ) {
+    const member = current.parent;
+    if (!member.computed && member.property.name === methodName) {
+      return member.parent;
+    }
+    current = member.parent;
+  }
+  return null;
+}
+
+/**
+ * Return `true` when `key` is the identifier or string literal `name`.
+ * Handles both `{ transaction: trx }` (Identifier key) and
+ * `{ "transaction": trx }` (Literal / string key).
+ */
+export function isKeyNamed(key, name) {
+  if (key.type === "Identifier") return key.name === name;
+  if (key.type === "Literal") return key.value === name;
+  return false;
+}
+
+/**
+ * Return a fix that inserts `text` as argument `index` of the call `node`,
+ * either after the opening parenthesis or after the preceding argument.
+ * Returns `null` unless the slot is the next empty one.
+ */
+export function insertArgument(fixer, node, index, sourceCode, text) {
+  if (node.arguments.length !== index) return null;
+  if (index === 0) {
+    const openParen = sourceCode.getTokenAfter(node.callee, {
+      filter: (t) => t.value === "(",
+    });
+    return fixer.insertTextAfter(openParen, text);
+  }
+  return fixer.insertTextAfter(node.arguments[index - 1], `, ${text}`);
+}
+
+/**
+ * Combine several rule visitor objects into one.  Handlers for the same
+ * selector run in the order the objects are given, so shared trackers can
+ * record state before the rule's own handlers inspect it.
+ */
+export function mergeVisitors(...visitors) {
+  const merged = {};
+  for (const visitor of visitors) {
+    for (const [selector, handler] of Object.entries(visitor)) {
+      const previous = merged[selector];
+      merged[selector] = previous
+        ? (...args) => {
+            previous(...args);
+            handler(...args);
+          }
+        : handler;
+    }
+  }
+  return merged;
+}
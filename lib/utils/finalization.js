@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Control-flow-aware tracking of `trx.commit()` /
+ * `trx.rollback()` built on ESLint's code path analysis.
+ *
+ * Every code path segment carries two sets of finalized transactions:
+ *
+ *  - `maybe` — finalized on at least one path reaching the segment
+ *  - `must`  — finalized on every path reaching the segment
+ *
+ * A segment starts with the union (`maybe`) / intersection (`must`) of its
+ * predecessors, so a `trx.rollback()` in an `if` or `catch` block only
+ * affects code that can actually run after it — not the `else` branch or
+ * the `try` block.  Nested functions inherit the state at the point where
+ * they are created.
+ *
+ * Assigning to the transaction variable clears its state: it then holds
+ * another transaction.
+ *
+ * Loop back-edges are merged into the loop head when ESLint reports them,
+ * which covers code after the loop; code inside the loop body is judged as
+ * on its first iteration.
+ */
+
+import { findVariable } from "./ast.js";
+
+const EMPTY_STATE = { maybe: new Set(), must: new Set() };
+
+/**
+ * Create a finalization tracker for the transactions accepted by
+ * `isTrxIdentifier` (called with the receiver `Identifier` of
+ * `trx.commit()`).
+ * `visitors` must be merged into the rule's listeners.
+ *
+ * Transactions are keyed by their scope variable (or by name when the
+ * identifier is not declared), so a shadowing `trx` in a nested
+ * `knex.transaction(async (trx) => …)` callback is a different transaction.
+ */
+export function createFinalizationTracker(sourceCode, isTrxIdentifier) {
+  const codePathStack = [];
+
+  function currentInfo() {
+    return codePathStack[codePathStack.length - 1];
+  }
+
+  /**
+   * Return the state at the current traversal position of a code path:
+   * merged over all of its current segments.
+   */
+  function currentState(info) {
+    const states = [...info.current].map((segment) =>
+      info.states.get(segment.id),
+    );
+    return states.length > 0 ? mergeStates(states) : info.inherited;
+  }
+
+  function enterSegment(segment) {
+    const info = currentInfo();
+    const previous = segment.prevSegments
+      .map((prev) => info.states.get(prev.id))
+      .filter(Boolean);
+    info.states.set(
+      segment.id,
+      previous.length > 0 ? mergeStates(previous) : copyState(info.inherited),
+    );
+    info.current.add(segment);
+  }
+
+  function exitSegment(segment) {
+    currentInfo().current.delete(segment);
+  }
+
+  /**
+   * Return the key identifying the transaction held by `identifier`.
+   */
+  function getKey(identifier) {
+    return (
+      findVariable(sourceCode.getScope(identifier), identifier.name) ??
+      identifier.name
+    );
+  }
+
+  /**
+   * Return `true` when the transaction `key` (its scope variable, or its
+   * name when undeclared) was committed / rolled back on some path
+   * (`"maybe"`) or on every path (`"must"`) leading to the current position.
+   */
+  function isFinalized(key, mode = "maybe") {
+    const info = currentInfo();
+    if (info == null) return false;
+    return currentState(info)[mode].has(key);
+  }
+
+  return {
+    isFinalized,
+    visitors: {
+      onCodePathStart() {
+        const parent = currentInfo();
+        codePathStack.push({
+          inherited: parent ? currentState(parent) : EMPTY_STATE,
+          states: new Map(),
+          current: new Set(),
+        });
+      },
+      onCodePathEnd() {
+        codePathStack.pop();
+      },
+      onCodePathSegmentStart: enterSegment,
+      onUnreachableCodePathSegmentStart: enterSegment,
+      onCodePathSegmentEnd: exitSegment,
+      onUnreachableCodePathSegmentEnd: exitSegment,
+      onCodePathSegmentLoop(fromSegment, toSegment) {
+        const { states } = currentInfo();
+        const from = states.get(fromSegment.id);
+        const to = states.get(toSegment.id);
+        if (from == null || to == null) return;
+        for (const key of from.maybe) to.maybe.add(key);
+        for (const key of to.must) {
+          if (!from.must.has(key)) to.must.delete(key);
+        }
+      },
+
+      // Recorded on exit so that the `trx` of the finalizing call itself
+      // is still seen as an active transaction.
+      "CallExpression:exit"(node) {
+        if (!isFinalizeCall(node, isTrxIdentifier)) return;
+        const info = currentInfo();
+        const key = getKey(node.callee.object);
+        for (const segment of info.current) {
+          const state = info.states.get(segment.id);
+          state.maybe.add(key);
+          state.must.add(key);
+        }
+      },
+
+      // Reassigning the variable (`trx = await knex.transaction()`) makes
+      // it hold a new, active transaction.
+      "AssignmentExpression:exit"(node) {
+        if (node.left.type !== "Identifier") return;
+        const info = currentInfo();
+        const key = getKey(node.left);
+        for (const segment of info.current) {
+          const state = info.states.get(segment.id);
+          state.maybe.delete(key);
+          state.must.delete(key);
+        }
+      },
+    },
+  };
+}
+
+/**
+ * Return `true` when `node` is `trx.commit()` or `trx.rollback()`.
+ */
+export function isFinalizeCall(node, isTrxIdentifier) {
+  const { callee } = node;
+  return (
+    callee.type === "MemberExpression" &&
+    !callee.computed &&
+    (callee.property.name === "commit" ||
+      callee.property.name === "rollback") &&
+    callee.object.type === "Identifier" &&
+    isTrxIdentifier(callee.object)
+  );
+}
+
+function copyState(state) {
+  return { maybe: new Set(state.maybe), must: new Set(state.must) };
+}
+
+/**
+ * Merge the states of several predecessors: union of `maybe`,
+ * intersection of `must`.
+ */
+function mergeStates(states) {
+  const [first, ...rest] = states;
+  const merged = copyState(first);
+  for (const state of rest) {
+    for (const key of state.maybe) merged.maybe.add(key);
+    for (const key of merged.must) {
+      if (!state.must.has(key)) merged.must.delete(key);
+    }
+  }
+  return merged;
+}
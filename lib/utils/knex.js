@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Knex API facts shared by the plugin's rules.
+ */
+
+/**
+ * Methods on a knex instance that start a query builder (as opposed to
+ * `knex.transaction()`, `knex.destroy()`, `knex.schema`, …).
+ */
+export const BUILDER_METHODS = new Set([
+  "queryBuilder",
+  "raw",
+  "select",
+  "distinct",
+  "from",
+  "table",
+  "into",
+  "insert",
+  "update",
+  "upsert",
+  "del",
+  "delete",
+  "first",
+  "pluck",
+  "count",
+  "min",
+  "max",
+  "sum",
+  "avg",
+  "with",
+  "withRecursive",
+  "truncate",
+  "columnInfo",
+]);
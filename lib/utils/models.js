@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Objection.js Model detection shared by the plugin's rules.
+ *
+ * Two modes are supported, selected through the shared
+ * `settings["objection-trx"]` object:
+ *
+ *  - `"heuristic"` — any PascalCase root receiver (or `this`) is treated
+ *    as a Model class.  This is the default when no `modelModules` are
+ *    configured.
+ *  - `"imports"` — only bindings that are imported / required from one of
+ *    the `modelModules` globs, or classes declared in the file that extend
+ *    one of the `baseClasses` (or another recognised model), are models.
+ *
+ * Rules running in type-aware mode decide from the receiver's TypeScript
+ * type first, and use the configured mode only for untyped receivers.
+ */
+
+import path from "node:path";
+import { minimatch } from "minimatch";
+import { findVariable, getEnclosingClass, walk } from "./ast.js";
+import { getTypeServices } from "./types.js";
+
+const DEFAULT_BASE_CLASSES = ["Model"];
+
+/**
+ * Return the plugin's shared settings (`settings["objection-trx"]`).
+ */
+export function getPluginSettings(context) {
+  return context.settings?.["objection-trx"] ?? {};
+}
+
+/**
+ * Walk through a chain of `CallExpression` / `MemberExpression` nodes
+ * to find the leftmost (root) receiver.
+ *
+ * For example, given `Model.bindKnex(knex)`:
+ *   CallExpression  →  callee: MemberExpression  →  object: Identifier("Model")
+ * The root receiver is the `Identifier("Model")` node.
+ */
+export function resolveRootReceiver(node) {
+  let current = node;
+  while (current) {
+    if (current.type === "Identifier" || current.type === "ThisExpression") {
+      return current;
+    }
+    if (current.type === "ChainExpression") {
+      current = current.expression;
+    } else if (current.type === "CallExpression") {
+      current = current.callee;
+    } else if (current.type === "MemberExpression") {
+      current = current.object;
+    } else {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a predicate that returns `true` when an expression looks like an
+ * Objection.js Model class (or a chain that originates from one), using
+ * the detection mode configured in the shared settings.
+ *
+ * Objection.js `.query()` is a **static** method called on Model classes.
+ * It is also common to call `.query()` on the result of a chain that starts
+ * with a Model class, such as `Inventory.bindKnex(knex).query(trx)`, so the
+ * **root** receiver of the chain is what gets classified.
+ *
+ * With `typeAware`, and when type information is available, the receiver
+ * is a Model class when its type is a class extending objection's `Model`.
+ */
+export function createModelDetector(context, { typeAware = false } = {}) {
+  const detectByName = createNameDetector(context);
+  const types = typeAware ? getTypeServices(context) : null;
+  if (types == null) return detectByName;
+
+  return function looksLikeModelClass(objectNode) {
+    return types.isModelClass(objectNode) ?? detectByName(objectNode);
+  };
+}
+
+/**
+ * Return `true` when `node` names one of the configured base classes
+ * (`Model`, `objection.Model`) — not a model itself, but a receiver of the
+ * static methods every model shares, such as `Model.transaction()`.
+ */
+export function isBaseClassReference(context, node) {
+  const baseClasses =
+    getPluginSettings(context).baseClasses ?? DEFAULT_BASE_CLASSES;
+  if (node.type === "Identifier") return baseClasses.includes(node.name);
+  return (
+    node.type === "MemberExpression" &&
+    !node.computed &&
+    baseClasses.includes(node.property.name)
+  );
+}
+
+/**
+ * Create the detector for the mode configured in the shared settings.
+ */
+function createNameDetector(context) {
+  const settings = getPluginSettings(context);
+  const modelModules = settings.modelModules ?? [];
+  const baseClasses = new Set(settings.baseClasses ?? DEFAULT_BASE_CLASSES);
+  const mode =
+    settings.modelDetection ??
+    (modelModules.length > 0 ? "imports" : "heuristic");
+
+  if (mode === "heuristic") return looksLikeModelClassByName;
+
+  const { sourceCode } = context;
+  let modelVariables = null;
+
+  return function looksLikeModelClass(objectNode) {
+    const root = resolveRootReceiver(objectNode);
+    if (root == null) return false;
+    modelVariables ??= collectModelVariables(
+      sourceCode,
+      context,
+      modelModules,
+      baseClasses,
+    );
+    if (root.type === "ThisExpression") {
+      const classNode = getEnclosingClass(root);
+      return (
+        classNode != null &&
+        isModelClass(classNode, sourceCode, modelVariables, baseClasses)
+      );
+    }
+    const variable = findVariable(sourceCode.getScope(root), root.name);
+    return variable != null && modelVariables.has(variable);
+  };
+}
+
+/**
+ * The fallback heuristic: Model classes follow PascalCase naming by
+ * convention (e.g. `Inventory.query(trx)`).
+ *
+ * Non-Objection APIs such as the raw `pg` client (`connection.query()`) or
+ * custom HTTP clients (`client.query()`) use camelCase / lowercase names.
+ *
+ * By requiring the **root** receiver of the chain to be a PascalCase
+ * `Identifier`, we avoid false positives on unrelated `.query()` calls
+ * while catching both direct and chained Objection usage in the codebase.
+ */
+function looksLikeModelClassByName(objectNode) {
+  const root = resolveRootReceiver(objectNode);
+  if (root == null) return false;
+  // `this.query(trx)` in a static model method — `this` refers to the class
+  if (root.type === "ThisExpression") return true;
+  return root.type === "Identifier" && /^[A-Z]/.test(root.name);
+}
+
+/**
+ * Collect the set of scope variables that refer to Objection.js models:
+ * bindings imported or required from a `modelModules` match, and classes
+ * declared in the file whose superclass is a base class or another model.
+ */
+function collectModelVariables(sourceCode, context, modelModules, baseClasses) {
+  const { scopeManager } = sourceCode;
+  const models = new Set();
+  const classes = [];
+
+  const isModelModule = (specifier) =>
+    typeof specifier === "string" &&
+    getModuleCandidates(specifier, context).some((candidate) =>
+      modelModules.some((glob) => minimatch(candidate, glob, { dot: true })),
+    );
+
+  const addDeclared = (node) => {
+    for (const variable of scopeManager.getDeclaredVariables(node)) {
+      models.add(variable);
+    }
+  };
+
+  walk(sourceCode.ast, sourceCode.visitorKeys, (node) => {
+    if (node.type === "ImportDeclaration") {
+      if (isModelModule(node.source.value)) addDeclared(node);
+    } else if (node.type === "VariableDeclarator") {
+      if (node.init && isModelModule(getRequiredModule(node.init))) {
+        addDeclared(node);
+      }
+    } else if (
+      (node.type === "ClassDeclaration" || node.type === "ClassExpression") &&
+      node.superClass
+    ) {
+      classes.push(node);
+    }
+  });
+
+  // Resolve classes until no new model is found, so that chains such as
+  // `class User extends BaseModel` / `class BaseModel extends Model` work
+  // regardless of declaration order.
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const classNode of classes) {
+      if (!isModelClass(classNode, sourceCode, models, baseClasses)) continue;
+      for (const variable of getClassVariables(classNode, scopeManager)) {
+        if (!models.has(variable)) {
+          models.add(variable);
+          changed = true;
+        }
+      }
+    }
+  }
+  return models;
+}
+
+/**
+ * Return `true` when `classNode` extends one of the configured base
+ * classes (by name, e.g. `Model` or `objection.Model`) or a known model.
+ */
+function isModelClass(classNode, sourceCode, models, baseClasses) {
+  const { superClass } = classNode;
+  if (superClass == null) return false;
+  if (superClass.type === "Identifier") {
+    if (baseClasses.has(superClass.name)) return true;
+    const variable = findVariable(
+      sourceCode.getScope(superClass),
+      superClass.name,
+    );
+    return variable != null && models.has(variable);
+  }
+  return (
+    superClass.type === "MemberExpression" &&
+    !superClass.computed &&
+    baseClasses.has(superClass.property.name)
+  );
+}
+
+/**
+ * Return the variables a class is reachable through: its own name for
+ * declarations, or the declarator binding for `const X = class extends …`.
+ */
+function getClassVariables(classNode, scopeManager) {
+  if (classNode.type === "ClassDeclaration") {
+    return scopeManager.getDeclaredVariables(classNode);
+  }
+  if (classNode.parent.type === "VariableDeclarator") {
+    return scopeManager.getDeclaredVariables(classNode.parent);
+  }
+  return [];
+}
+
+/**
+ * Return the module specifier of `require("x")` or `require("x").Member`,
+ * or `null` when `node` is not a require call.
+ */
+function getRequiredModule(node) {
+  const call = node.type === "MemberExpression" ? node.object : node;
+  if (
+    call.type === "CallExpression" &&
+    call.callee.type === "Identifier" &&
+    call.callee.name === "require" &&
+    call.arguments.length === 1 &&
+    call.arguments[0].type === "Literal"
+  ) {
+    return call.arguments[0].value;
+  }
+  return null;
+}
+
+/**
+ * Return the strings a `modelModules` glob is matched against: the module
+ * specifier itself and, for relative specifiers, the resolved path relative
+ * to the working directory (always with `/` separators).
+ */
+function getModuleCandidates(specifier, context) {
+  if (!specifier.startsWith(".")) return [specifier];
+  const resolved = path.resolve(path.dirname(context.filename), specifier);
+  const relative = path.relative(context.cwd, resolved);
+  return [specifier, relative.split(path.sep).join("/")];
+}
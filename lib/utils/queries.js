@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Recognition of Objection.js query chains shared by the
+ * plugin's rules: the table of methods that start a query and take a
+ * transaction, the `methods` option extending it, and the lookups built on
+ * it.
+ */
+
+import { findChainedCall, isKeyNamed } from "./ast.js";
+
+/**
+ * Objection.js methods that start a query and accept a transaction, keyed
+ * by method name.  Each entry describes where the transaction goes:
+ *
+ *  - `argument: n` — positional argument `n` (0-based), e.g. `.query(trx)`
+ *  - `option: n`   — `{ transaction: trx }` in the options object at `n`
+ *  - `transacting` — the method returns a plain Knex builder that must be
+ *                    bound with `.transacting(trx)`
+ *
+ * `model: true` restricts the method to Model class receivers (static
+ * methods), so unrelated `.query()` / `.fetchGraph()` calls are ignored.
+ */
+export const DEFAULT_QUERY_METHODS = {
+  query: { argument: 0, model: true },
+  $query: { argument: 0 },
+  $relatedQuery: { argument: 1 },
+  $fetchGraph: { option: 1 },
+  relatedQuery: { argument: 1, model: true },
+  fetchGraph: { option: 2, model: true },
+  knexQuery: { transacting: true, model: true },
+};
+
+/**
+ * JSON-schema property for the `methods` option, which extends or
+ * overrides `DEFAULT_QUERY_METHODS`.
+ */
+export const queryMethodsSchema = {
+  methods: {
+    type: "object",
+    description:
+      "Additional methods to check, keyed by name, as `{ argument: n }`, `{ option: n }` or `{ transacting: true }` (plus `model: true` for static Model methods). `false` disables a built-in method.",
+    additionalProperties: {
+      oneOf: [
+        { enum: [false] },
+        {
+          type: "object",
+          // `patternProperties` rather than `properties`, so that the entry
+          // fields are not listed as rule options in the generated docs.
+          patternProperties: {
+            "^argument$": { type: "integer", minimum: 0 },
+            "^option$": { type: "integer", minimum: 0 },
+            "^transacting$": { enum: [true] },
+            "^model$": { type: "boolean" },
+          },
+          oneOf: [
+            { required: ["argument"] },
+            { required: ["option"] },
+            { required: ["transacting"] },
+          ],
+          additionalProperties: false,
+        },
+      ],
+    },
+  },
+};
+
+/**
+ * Merge the `methods` option into the built-in method table.  A `false`
+ * entry removes a built-in method.  A `Map` is used so that method names
+ * such as `constructor` never hit `Object.prototype`.
+ */
+export function createMethodTable(methodOptions = {}) {
+  const table = new Map();
+  for (const [method, spec] of Object.entries({
+    ...DEFAULT_QUERY_METHODS,
+    ...methodOptions,
+  })) {
+    if (spec) table.set(method, spec);
+  }
+  return table;
+}
+
+const DEFAULT_METHOD_TABLE = createMethodTable();
+
+/**
+ * Query builder methods that write to the database.
+ */
+export const WRITE_METHODS = new Set([
+  "insert",
+  "insertAndFetch",
+  "insertGraph",
+  "insertGraphAndFetch",
+  "upsertGraph",
+  "upsertGraphAndFetch",
+  "patch",
+  "patchAndFetch",
+  "patchAndFetchById",
+  "update",
+  "updateAndFetch",
+  "updateAndFetchById",
+  "delete",
+  "deleteById",
+  "relate",
+  "unrelate",
+  "increment",
+  "decrement",
+]);
+
+/**
+ * Return the method table entry for a call's callee when it starts an
+ * Objection.js query (`User.query`, `user.$query`, …), or `null`.
+ */
+export function getQueryMethod(
+  callee,
+  looksLikeModelClass,
+  methods = DEFAULT_METHOD_TABLE,
+) {
+  if (callee.type !== "MemberExpression" || callee.computed) return null;
+  const spec = methods.get(callee.property.name);
+  if (spec == null) return null;
+  return !spec.model || looksLikeModelClass(callee.object) ? spec : null;
+}
+
+/**
+ * Return the call an Objection.js chain containing `node` originates from —
+ * `User.query()` in `User.query().where(…).patch(…)` — with its method
+ * table entry, or `null` when the chain does not start a query.
+ */
+export function findQueryOrigin(
+  node,
+  looksLikeModelClass,
+  methods = DEFAULT_METHOD_TABLE,
+) {
+  let current = node;
+  while (current) {
+    if (current.type === "ChainExpression") {
+      current = current.expression;
+    } else if (current.type === "CallExpression") {
+      const spec = getQueryMethod(current.callee, looksLikeModelClass, methods);
+      if (spec != null) return { call: current, spec };
+      current = current.callee;
+    } else if (current.type === "MemberExpression") {
+      current = current.object;
+    } else {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Return `true` when the query-starting call `node` already passes a
+ * transaction in the slot described by its table entry `spec`.
+ */
+export function isTransactionPassed(node, spec, isTransaction) {
+  if (spec.transacting) {
+    const transacting = findChainedCall(node, "transacting");
+    return transacting != null && isTransaction(transacting.arguments[0]);
+  }
+  if (spec.option != null) {
+    return hasTransactionOption(node, spec.option, isTransaction);
+  }
+  return isTransaction(node.arguments[spec.argument]);
+}
+
+/**
+ * For option-style methods such as `$fetchGraph`, check whether the
+ * options argument at `index` contains `{ transaction: trx }` — the value
+ * must be a transaction identifier, not an arbitrary expression.
+ */
+function hasTransactionOption(node, index, isTransaction) {
+  const optionsArg = node.arguments[index];
+  if (!optionsArg) return false;
+
+  // If the options arg is a variable/expression (not an object literal),
+  // we cannot statically verify it contains `{ transaction: trx }`.
+  // Give the benefit of the doubt — the caller likely built an options
+  // object that already includes the transaction.  Flagging these would
+  // produce false positives on perfectly valid code paths.
+  if (optionsArg.type !== "ObjectExpression") return true;
+
+  return optionsArg.properties.some(
+    (prop) =>
+      prop.type === "Property" &&
+      isKeyNamed(prop.key, "transaction") &&
+      isTransaction(prop.value),
+  );
+}
@@ -0,0 +1,752 @@
+/**
+ * @fileoverview Transaction detection shared by the plugin's rules: which
+ * identifiers hold a transaction, whether one is available at a given node,
+ * and whether it was already committed / rolled back.
+ */
+
+import { findVariable, getEnclosingClassMember } from "./ast.js";
+import { createFinalizationTracker } from "./finalization.js";
+import { createModelDetector, isBaseClassReference } from "./models.js";
+import { getTypeServices } from "./types.js";
+
+export const DEFAULT_TRANSACTION_NAMES = ["trx"];
+
+const DEFAULT_KNEX_NAMES = ["knex"];
+
+/**
+ * Static Model methods returning a copy of the Model class bound to the
+ * connection or transaction passed: `User.bindKnex(trx)`.
+ */
+const BIND_METHODS = new Set(["bindKnex", "bindTransaction"]);
+
+/**
+ * JSON-schema properties for the `names` / `pattern` options accepted by
+ * every rule that looks for a transaction.
+ */
+export const transactionNameSchema = {
+  names: {
+    type: "array",
+    items: { type: "string" },
+    uniqueItems: true,
+    description: "Identifiers that hold a transaction.",
+  },
+  pattern: {
+    type: "string",
+    format: "regex",
+    description:
+      "Regular expression matching identifiers that hold a transaction, in addition to `names`.",
+  },
+};
+
+/**
+ * JSON-schema properties for the options of the rules that check whether a
+ * transaction is available or forwarded (`createTransactionTracker`).
+ */
+export const transactionTrackerSchema = {
+  paths: {
+    type: "array",
+    items: { type: "string", pattern: "^[\\w$]+(?:\\.[\\w$]+)+$" },
+    uniqueItems: true,
+    description:
+      "Member expressions that hold a transaction, such as `ctx.trx`.",
+  },
+  allowFallbacks: {
+    type: "boolean",
+    description:
+      "Whether `trx ?? knex` / `trx || knex`, and variables initialized from them, count as forwarding the transaction.",
+  },
+};
+
+/**
+ * Build a predicate that returns `true` for identifiers holding a
+ * transaction: any of `names`, or anything matching `pattern`.
+ */
+export function createTrxNameMatcher(names, pattern) {
+  const nameSet = new Set(names ?? DEFAULT_TRANSACTION_NAMES);
+  const regex = pattern ? compilePattern(pattern) : null;
+  return (name) => nameSet.has(name) || (regex != null && regex.test(name));
+}
+
+/**
+ * Compile the `pattern` option.  The schema only checks the syntax without
+ * the `u` flag, so escapes such as `\-` are rejected here instead.
+ */
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, "u");
+  } catch (error) {
+    throw new Error(
+      `Invalid \`pattern\` option "${pattern}": ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Create the per-file transaction tracker used by the rules.
+ *
+ * Returns the name predicate, the transaction lookup helpers, and the
+ * `visitors` that must be merged into the rule's listeners so that
+ * `trx.commit()` / `trx.rollback()` calls are tracked along code paths.
+ *
+ * With `typeAware`, and when the parser provides type information,
+ * bindings and expressions typed as a transaction count as transactions
+ * whatever their name; otherwise detection falls back to `names` /
+ * `pattern`.
+ *
+ * `paths` (`["ctx.trx"]`) are member expressions holding a transaction:
+ * `ctx.trx` is accepted as a forwarded transaction, and is available
+ * wherever `ctx` is in scope and no transaction variable is — `this.trx`
+ * in the instance members of classes.  Likewise a
+ * class whose field holds the transaction (`trx;`, or
+ * `constructor(trx) { this.trx = trx; }`) makes `this.trx` available in
+ * its instance methods.  Commits and rollbacks are only tracked for
+ * variables.
+ *
+ * Variables initialized from a transaction (`const t = trx`,
+ * `const { trx: t } = ctx`) are aliases and count as forwarding it, as do
+ * fallbacks such as `trx ?? knex` unless `allowFallbacks` is `false`.  The
+ * tracking is flow-insensitive: every assignment to the variable must be a
+ * transaction.
+ *
+ * Model classes bound to the transaction with `bindKnex(trx)` /
+ * `bindTransaction(trx)` run their queries in it without being passed
+ * `trx` (`isBoundToTransaction()`).
+ *
+ * `knexNames` are the identifiers holding a knex instance: callbacks of
+ * their `transaction()` are transaction callbacks, like those of Model
+ * classes and transactions (`isTransactionCallback()`).
+ */
+export function createTransactionTracker(
+  context,
+  {
+    names,
+    pattern,
+    paths = [],
+    allowFallbacks = true,
+    typeAware = false,
+    knexNames = DEFAULT_KNEX_NAMES,
+  } = {},
+) {
+  const { sourceCode } = context;
+  const isTrxName = createTrxNameMatcher(names, pattern);
+  const knexNameSet = new Set(knexNames);
+  const pathSet = new Set(paths);
+  const types = typeAware ? getTypeServices(context) : null;
+  const looksLikeModelClass = createModelDetector(context, { typeAware });
+  // Transaction field of each class seen so far (`null` when it has none).
+  const classTrxFields = new WeakMap();
+
+  /**
+   * Return `true` when `node` is an expression holding a transaction.
+   */
+  function isTransaction(node) {
+    return isTrxExpression(node, new Set());
+  }
+
+  /**
+   * `isTransaction()`, with the aliases already followed in `seen` to
+   * guard against cyclic assignments.
+   */
+  function isTrxExpression(node, seen) {
+    if (node == null) return false;
+    if (isTrxForwarded(node, isTrxName)) return true;
+    if (isTrxPath(node)) return true;
+    if (isClassTrxField(node)) return true;
+    if (
+      node.type === "LogicalExpression" &&
+      (node.operator === "??" || node.operator === "||")
+    ) {
+      return allowFallbacks && isTrxExpression(node.left, seen);
+    }
+    if (node.type === "Identifier") {
+      const variable = findVariable(sourceCode.getScope(node), node.name);
+      if (
+        variable != null &&
+        (isTrxVariable(variable) || isTrxAlias(variable, seen))
+      ) {
+        return true;
+      }
+    }
+    return isTypedTransaction(node);
+  }
+
+  /**
+   * Return `true` when every assignment to `variable` is a transaction.
+   */
+  function isTrxAlias(variable, seen) {
+    if (
+      seen.has(variable) ||
+      variable.defs.length !== 1 ||
+      variable.defs[0].type !== "Variable"
+    ) {
+      return false;
+    }
+    seen.add(variable);
+    const writes = variable.references.filter((ref) => ref.isWrite());
+    return (
+      writes.length > 0 &&
+      writes.every((ref) => isTrxAssignment(ref.identifier, seen))
+    );
+  }
+
+  /**
+   * Return `true` when the binding or assignment target `identifier` is
+   * given a transaction: `t = trx`, or `{ trx: t }` destructured.
+   */
+  function isTrxAssignment(identifier, seen) {
+    const { parent } = identifier;
+    if (parent.type === "VariableDeclarator" && parent.id === identifier) {
+      return isTrxExpression(parent.init, seen);
+    }
+    if (
+      parent.type === "AssignmentExpression" &&
+      parent.operator === "=" &&
+      parent.left === identifier
+    ) {
+      return isTrxExpression(parent.right, seen);
+    }
+    return (
+      parent.type === "Property" &&
+      parent.value === identifier &&
+      parent.parent.type === "ObjectPattern" &&
+      !parent.computed &&
+      isTrxName(parent.key.name)
+    );
+  }
+
+  function isTypedTransaction(node) {
+    return types != null && node != null && types.isTransaction(node);
+  }
+
+  /**
+   * Return the name of the transaction field (`trx`, `#trx`) of the class
+   * whose instance member contains `node`, or `null`.
+   */
+  function getClassTrxField(node) {
+    const member = getInstanceMember(node);
+    if (member == null) return null;
+    const classNode = member.parent.parent;
+    if (!classTrxFields.has(classNode)) {
+      classTrxFields.set(
+        classNode,
+        findClassTrxField(
+          classNode.body,
+          isTrxName,
+          (value) =>
+            isTrxForwarded(value, isTrxName) || isTypedTransaction(value),
+          isTypedTransaction,
+        ),
+      );
+    }
+    return classTrxFields.get(classNode);
+  }
+
+  /**
+   * Return `true` for `this.trx` inside an instance member of a class
+   * whose `trx` field holds the transaction.
+   */
+  function isClassTrxField(node) {
+    if (
+      node?.type !== "MemberExpression" ||
+      node.computed ||
+      node.object.type !== "ThisExpression"
+    ) {
+      return false;
+    }
+    const field = getClassTrxField(node);
+    return field != null && field === getKeyName(node.property);
+  }
+
+  /**
+   * Return `true` when `node` is one of `paths` (`ctx.trx`).  Paths rooted
+   * at `this` (`this.trx`) only apply in instance members of a class.
+   */
+  function isTrxPath(node) {
+    if (pathSet.size === 0) return false;
+    const path = getMemberPath(node);
+    return (
+      pathSet.has(path) &&
+      (!path.startsWith("this.") || getInstanceMember(node) != null)
+    );
+  }
+
+  /**
+   * Return `true` when the scope variable holds a transaction: by name, by
+   * origin (see `isTransactionBinding()`) or by type.  Only parameters and
+   * variables are typed — imports include type-only bindings such as
+   * `import type { Transaction } from "objection"`.
+   */
+  function isTrxVariable(variable) {
+    if (isTrxName(variable.name)) return true;
+    const [def] = variable.defs;
+    if (def != null && isTransactionBinding(def)) return true;
+    return (
+      types != null &&
+      (def?.type === "Parameter" || def?.type === "Variable") &&
+      types.isTransaction(def.name)
+    );
+  }
+
+  /**
+   * Return `true` for a knex instance: one of `knexNames`, or
+   * `Model.knex()`.
+   */
+  function isKnexReceiver(node) {
+    if (node.type === "Identifier") {
+      return knexNameSet.has(node.name) && !isTrxName(node.name);
+    }
+    return (
+      node.type === "CallExpression" &&
+      node.arguments.length === 0 &&
+      node.callee.type === "MemberExpression" &&
+      !node.callee.computed &&
+      node.callee.property.name === "knex" &&
+      looksLikeModelClass(node.callee.object)
+    );
+  }
+
+  /**
+   * Return `true` for a Model class: a Model identifier, a base class
+   * (`Model`), or `this` in a static member of a class extending one.
+   * Instance methods of any class (`this.transaction(cb)` in a service)
+   * are not Model receivers.
+   */
+  function isModelReceiver(node) {
+    if (node.type === "Identifier" && isTrxName(node.name)) return false;
+    if (isBaseClassReference(context, node)) return true;
+    if (node.type === "ThisExpression") {
+      const member = getEnclosingClassMember(node);
+      if (
+        member == null ||
+        !(member.static || member.type === "StaticBlock") ||
+        member.parent.parent.superClass == null
+      ) {
+        return false;
+      }
+    }
+    return looksLikeModelClass(node);
+  }
+
+  /**
+   * Return `true` when `fn` is the callback of a managed transaction: the
+   * last argument of `transaction(…)` on a Model class, a knex instance or
+   * a transaction, or of objection's `transaction(knex, …)`.  The
+   * `transaction()` of other libraries (`dataSource.transaction(cb)`,
+   * IndexedDB's `db.transaction(stores, mode)`) is not.
+   */
+  function isTransactionCallback(fn) {
+    const { parent } = fn;
+    if (
+      parent.type !== "CallExpression" ||
+      parent.arguments[parent.arguments.length - 1] !== fn
+    ) {
+      return false;
+    }
+    const { callee, arguments: args } = parent;
+    if (callee.type === "Identifier") {
+      return (
+        callee.name === "transaction" &&
+        args.length > 1 &&
+        isTransactionSource(args[0])
+      );
+    }
+    return (
+      callee.type === "MemberExpression" &&
+      !callee.computed &&
+      callee.property.name === "transaction" &&
+      isTransactionSource(callee.object)
+    );
+  }
+
+  function isTransactionSource(node) {
+    return isKnexReceiver(node) || isModelReceiver(node) || isTransaction(node);
+  }
+
+  /**
+   * Return `true` when the definition `def` binds a transaction by origin,
+   * whatever its name:
+   *  - the first parameter of a transaction callback —
+   *    `Model.transaction(async (t) => …)`, `knex.transaction((t) => …)`,
+   *    `transaction(knex, async (t) => …)`
+   *  - a variable initialized with a started transaction —
+   *    `const t = await Model.startTransaction()`,
+   *    `const t = await knex.transaction()`,
+   *    `const t = await transaction.start(knex)`
+   *
+   * objection's `transaction(Person, async (Person) => …)` binds models
+   * rather than a transaction and is skipped, as is `X.transaction(handler)`
+   * — it resolves to the handler's result.
+   */
+  function isTransactionBinding(def) {
+    if (def.type === "Parameter") {
+      const fn = def.node;
+      if (fn.params[0] !== def.name || !isTransactionCallback(fn)) {
+        return false;
+      }
+      const { callee, arguments: args } = fn.parent;
+      return !(
+        callee.type === "Identifier" &&
+        args[0].type === "Identifier" &&
+        looksLikeModelClass(args[0])
+      );
+    }
+    if (def.type !== "Variable" || def.node.id !== def.name) return false;
+    let init = def.node.init;
+    if (init?.type === "AwaitExpression") init = init.argument;
+    if (
+      init?.type !== "CallExpression" ||
+      init.callee.type !== "MemberExpression" ||
+      init.callee.computed
+    ) {
+      return false;
+    }
+    const { object, property } = init.callee;
+    switch (property.name) {
+      case "startTransaction":
+        return true;
+      case "start":
+        return object.type === "Identifier" && object.name === "transaction";
+      case "transaction":
+        return isTransactionStartArguments(init.arguments);
+      default:
+        return false;
+    }
+  }
+
+  // When a query call can run after a commit/rollback of the transaction
+  // (in the same or an enclosing function), the transaction is no longer
+  // usable — we must NOT suggest adding `trx`.
+  const finalization = createFinalizationTracker(sourceCode, (identifier) =>
+    isTransaction(identifier),
+  );
+
+  /**
+   * Return the name of the transaction binding that should be forwarded
+   * at `node`, or `null` when none is available or it may already have
+   * been committed / rolled back.
+   */
+  function getAvailableTrx(node) {
+    const variable = findTrxInScope(node, sourceCode, isTrxVariable);
+    if (variable != null) {
+      return finalization.isFinalized(variable) ? null : variable.name;
+    }
+    const field = getClassTrxField(node);
+    if (field != null) return `this.${field}`;
+    return findPathInScope(node) ?? null;
+  }
+
+  /**
+   * Return `true` when the name `getAvailableTrx(node)` returns does not
+   * refer to that transaction at `node`, so that it cannot be inserted
+   * there: `t` in `Model.transaction(async (t) => rows.map((t) => …))`,
+   * or `ctx.trx` when the `ctx` in scope shadows another one
+   * (`items.map((ctx) => …)` inside `handle(ctx)`).
+   */
+  function isAvailableTrxShadowed(node) {
+    const scope = sourceCode.getScope(node);
+    const variable = findTrxInScope(node, sourceCode, isTrxVariable);
+    if (variable != null) {
+      return findVariable(scope, variable.name) !== variable;
+    }
+    if (getClassTrxField(node) != null) return false;
+    const path = findPathInScope(node);
+    if (path == null || path.startsWith("this.")) return false;
+    const root = findVariable(scope, path.slice(0, path.indexOf(".")));
+    const outer = findVariable(root.scope.upper, root.name);
+    return outer != null && outer.scope.type !== "global";
+  }
+
+  /**
+   * Return the first of `paths` whose root object is declared before
+   * `node` in an enclosing (non-global) scope — or, for `this`, whose
+   * `node` is in an instance member of a class.
+   */
+  function findPathInScope(node) {
+    const scope = sourceCode.getScope(node);
+    return paths.find((path) => {
+      const root = path.slice(0, path.indexOf("."));
+      if (root === "this") return getInstanceMember(node) != null;
+      const variable = findVariable(scope, root);
+      return (
+        variable != null &&
+        variable.scope.type !== "global" &&
+        variable.defs.some((def) => isDefinedBefore(def, node))
+      );
+    });
+  }
+
+  /**
+   * Return the index of the parameter typed as a transaction in the
+   * function the call `node` resolves to — `null` without type information.
+   */
+  function getTrxParameterIndex(node) {
+    return types == null ? null : types.getTrxParameterIndex(node);
+  }
+
+  /**
+   * Return the Model class expression of `User.bindKnex(trx)` /
+   * `User.bindTransaction(trx)` when bound to a transaction, or `null`.
+   */
+  function getBoundModel(node) {
+    if (
+      node?.type !== "CallExpression" ||
+      node.callee.type !== "MemberExpression" ||
+      node.callee.computed ||
+      !BIND_METHODS.has(node.callee.property.name) ||
+      !isTransaction(node.arguments[0])
+    ) {
+      return null;
+    }
+    return node.callee.object;
+  }
+
+  /**
+   * Return `true` when the Model class expression `node` is bound to a
+   * transaction: `User.bindKnex(trx)`, or a `const` initialized with it.
+   */
+  function isBoundToTransaction(node) {
+    if (node.type !== "Identifier") return getBoundModel(node) != null;
+    const variable = findVariable(sourceCode.getScope(node), node.name);
+    const def = variable?.defs.length === 1 ? variable.defs[0] : null;
+    return (
+      def?.type === "Variable" &&
+      def.parent.kind === "const" &&
+      def.node.id === def.name &&
+      getBoundModel(def.node.init) != null
+    );
+  }
+
+  /**
+   * Return the name of a `const` declared before `identifier` that binds
+   * the same Model class to a transaction
+   * (`const BoundUser = User.bindKnex(trx)` for `User`), or `null`.
+   */
+  function findBoundModelAlias(identifier) {
+    let scope = sourceCode.getScope(identifier);
+    while (scope) {
+      for (const variable of scope.variables) {
+        const [def] = variable.defs;
+        if (
+          def?.type !== "Variable" ||
+          def.parent.kind !== "const" ||
+          def.node.id !== def.name ||
+          !isDefinedBefore(def, identifier)
+        ) {
+          continue;
+        }
+        const model = getBoundModel(def.node.init);
+        if (model?.type === "Identifier" && model.name === identifier.name) {
+          return variable.name;
+        }
+      }
+      scope = scope.upper;
+    }
+    return null;
+  }
+
+  return {
+    isTrxName,
+    isTransaction,
+    isTransactionCallback,
+    isKnexReceiver,
+    isModelReceiver,
+    isBoundToTransaction,
+    findBoundModelAlias,
+    getAvailableTrx,
+    isAvailableTrxShadowed,
+    getTrxParameterIndex,
+    visitors: finalization.visitors,
+  };
+}
+
+/**
+ * Return `true` when `arg` is an identifier holding a transaction
+ * (`trx` unless configured otherwise).
+ *
+ * No "shadowing" check is needed: when multiple enclosing functions each
+ * declare `trx`, the innermost binding is the one the call-site forwards,
+ * which is always the correct transaction.
+ */
+export function isTrxForwarded(arg, isTrxName) {
+  return arg != null && arg.type === "Identifier" && isTrxName(arg.name);
+}
+
+/**
+ * Return where `fn` takes its transaction — `{ index, name }` for a
+ * positional parameter (`trx`, `trx = null`), `{ index, key }` for a
+ * destructured options object (`{ trx } = {}`) — or `null` when it has no
+ * transaction parameter.
+ */
+export function findTrxParam(fn, isTrxName) {
+  for (const [index, param] of fn.params.entries()) {
+    const target = param.type === "AssignmentPattern" ? param.left : param;
+    if (target.type === "Identifier" && isTrxName(target.name)) {
+      return { index, name: target.name };
+    }
+    if (target.type === "ObjectPattern") {
+      const prop = target.properties.find(
+        (p) =>
+          p.type === "Property" &&
+          !p.computed &&
+          p.key.type === "Identifier" &&
+          isTrxName(p.key.name),
+      );
+      if (prop) return { index, key: prop.key.name };
+    }
+  }
+  return null;
+}
+
+/**
+ * Return `true` when `args` are those of `knex.transaction()` starting a
+ * transaction: none, or a config object (`{ isolationLevel }`), possibly
+ * after an empty handler (`null`, `undefined`).
+ */
+function isTransactionStartArguments(args) {
+  const [first, config, ...rest] = args;
+  if (first == null) return true;
+  if (rest.length > 0) return false;
+  if (config == null) return first.type === "ObjectExpression";
+  return isNullish(first) && config.type === "ObjectExpression";
+}
+
+function isNullish(node) {
+  return (
+    (node.type === "Literal" && node.value === null) ||
+    (node.type === "Identifier" && node.name === "undefined")
+  );
+}
+
+/**
+ * Return the name of the instance field of `classBody` that holds the
+ * transaction, or `null`: a field declared with a transaction name
+ * (`trx;`) or type, a TypeScript parameter property
+ * (`constructor(private trx: Knex.Transaction)`), or a field the
+ * constructor assigns a transaction to (`this.trx = trx`).
+ */
+function findClassTrxField(classBody, isTrxName, isTrxValue, isTypedKey) {
+  for (const element of classBody.body) {
+    if (
+      element.type === "PropertyDefinition" &&
+      !element.static &&
+      !element.computed &&
+      (isTrxName(element.key.name) || isTypedKey(element.key))
+    ) {
+      return getKeyName(element.key);
+    }
+    // Constructor overload signatures (TypeScript) have no body.
+    if (
+      element.type === "MethodDefinition" &&
+      element.kind === "constructor" &&
+      element.value.body != null
+    ) {
+      const field = findConstructorTrxField(element.value, isTrxValue);
+      if (field != null) return field;
+    }
+  }
+  return null;
+}
+
+function findConstructorTrxField(constructor, isTrxValue) {
+  for (const param of constructor.params) {
+    if (param.type !== "TSParameterProperty") continue;
+    const binding =
+      param.parameter.type === "AssignmentPattern"
+        ? param.parameter.left
+        : param.parameter;
+    if (isTrxValue(binding)) return binding.name;
+  }
+  for (const statement of constructor.body.body) {
+    if (statement.type !== "ExpressionStatement") continue;
+    const { expression } = statement;
+    if (
+      expression.type === "AssignmentExpression" &&
+      expression.operator === "=" &&
+      expression.left.type === "MemberExpression" &&
+      !expression.left.computed &&
+      expression.left.object.type === "ThisExpression" &&
+      isTrxValue(expression.right)
+    ) {
+      return getKeyName(expression.left.property);
+    }
+  }
+  return null;
+}
+
+/**
+ * Return the instance member of a class (method, field or accessor) whose
+ * `this` is visible at `node`, or `null` in static members and outside
+ * classes.
+ */
+function getInstanceMember(node) {
+  const member = getEnclosingClassMember(node);
+  return member == null || member.static || member.type === "StaticBlock"
+    ? null
+    : member;
+}
+
+/**
+ * Return the name of a non-computed class member key, with a leading `#`
+ * for private names.
+ */
+function getKeyName(key) {
+  return key.type === "PrivateIdentifier" ? `#${key.name}` : key.name;
+}
+
+/**
+ * Return the dotted path of a non-computed member expression rooted at an
+ * identifier or `this` (`ctx.trx` for `ctx.trx` and `ctx?.trx`), or `null`.
+ */
+function getMemberPath(node) {
+  if (node?.type === "ChainExpression") return getMemberPath(node.expression);
+  if (node?.type === "Identifier") return node.name;
+  if (node?.type === "ThisExpression") return "this";
+  if (node?.type !== "MemberExpression" || node.computed) return null;
+  const object = getMemberPath(node.object);
+  return object == null ? null : `${object}.${node.property.name}`;
+}
+
+/**
+ * Return the transaction variable (as accepted by `isTrxVariable`)
+ * accessible
+ * in the lexical scope of `node`, or `null` when there is none.
+ * Uses ESLint's built-in scope analysis,
+ * which correctly handles parameters, variable declarations,
+ * destructuring, catch clauses, and nested scopes.
+ *
+ * Skips the global scope so that ambient / config-level globals
+ * (e.g. `globals: { trx: "readonly" }`) do not trigger the rule.
+ *
+ * Also checks that at least one definition of `trx` appears
+ * **before** the call site, so `let`/`const` declarations that
+ * come after the call (temporal dead zone) are not treated as
+ * available — nor is `trx` inside its own initializer
+ * (`const trx = await Model.startTransaction()`).  Once `trx` is
+ * found in a scope the search stops, because an inner binding
+ * shadows any outer `trx`.
+ */
+export function findTrxInScope(node, sourceCode, isTrxVariable) {
+  let scope = sourceCode.getScope(node);
+  while (scope) {
+    if (scope.type === "global") break;
+    const variables = scope.variables.filter(isTrxVariable);
+    if (variables.length > 0) {
+      const available = variables.find((variable) =>
+        variable.defs.some((def) => isDefinedBefore(def, node)),
+      );
+      return available ?? null;
+    }
+    scope = scope.upper;
+  }
+  return null;
+}
+
+/**
+ * Return `true` when the definition `def` is complete before `node`:
+ * variable declarators must end before it, other definitions (parameters,
+ * catch clauses, …) must start before it.
+ */
+function isDefinedBefore(def, node) {
+  if (def.type === "Variable") return def.node.range[1] <= node.range[0];
+  return def.node.range[0] < node.range[0];
+}
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Type-aware helpers built on the TypeScript program exposed
+ * by `@typescript-eslint/parser` (`parserOptions.project` /
+ * `projectService`).
+ *
+ * Transactions are recognised by type rather than by name: anything typed
+ * as `Knex.Transaction`, objection's `Transaction` or `TransactionOrKnex`
+ * (or a union containing one of them, such as `trx?: Transaction`).  Model
+ * classes are recognised by extending objection's `Model`.  The types must
+ * be declared by the `knex` / `objection` packages, so unrelated
+ * `Transaction` or `Model` types (Sequelize, Prisma, …) are left alone.
+ */
+
+const TRANSACTION_TYPE_NAMES = new Set(["Transaction", "TransactionOrKnex"]);
+
+/**
+ * Matches fully qualified symbol names declared by the `knex` / `objection`
+ * packages — `"knex".Knex.Transaction` for an ambient module declaration,
+ * `"/app/node_modules/knex/types/index".Knex.Transaction` for the package's
+ * own declaration files — and captures the package name.
+ */
+const PACKAGE_SYMBOL =
+  /^"(?:[^"]*[\\/]node_modules[\\/](?:@types[\\/])?)?(knex|objection)(?:[\\/][^"]*)?"\./u;
+
+// `ts.TypeFlags.Any | ts.TypeFlags.Unknown`, without a runtime dependency
+// on `typescript`.
+const ANY_OR_UNKNOWN = 1 | 2;
+
+/**
+ * Return type helpers for the file being linted, or `null` when the parser
+ * provides no type information (plain JavaScript, or a TypeScript parser
+ * configured without a project).
+ */
+export function getTypeServices(context) {
+  const services = context.sourceCode.parserServices;
+  if (services?.program == null || services.esTreeNodeToTSNodeMap == null) {
+    return null;
+  }
+  const checker = services.program.getTypeChecker();
+  const transactionTypes = new WeakMap();
+
+  function getTSNode(node) {
+    return services.esTreeNodeToTSNodeMap.get(node);
+  }
+
+  /**
+   * Return the package (`"knex"` / `"objection"`) declaring `symbol`.
+   */
+  function getDeclaringPackage(symbol) {
+    if (symbol == null) return null;
+    return (
+      PACKAGE_SYMBOL.exec(checker.getFullyQualifiedName(symbol))?.[1] ?? null
+    );
+  }
+
+  function isTransactionSymbol(symbol) {
+    return (
+      symbol != null &&
+      TRANSACTION_TYPE_NAMES.has(symbol.getName()) &&
+      getDeclaringPackage(symbol) != null
+    );
+  }
+
+  /**
+   * Return `true` when the instance type `type` is objection's `Model` or
+   * a class extending it.
+   */
+  function extendsModel(type, seen = new Set()) {
+    const target = type.target ?? type;
+    if (seen.has(target)) return false;
+    seen.add(target);
+    const symbol = target.getSymbol();
+    if (
+      symbol?.getName() === "Model" &&
+      getDeclaringPackage(symbol) === "objection"
+    ) {
+      return true;
+    }
+    return (
+      target.isClassOrInterface() &&
+      checker.getBaseTypes(target).some((base) => extendsModel(base, seen))
+    );
+  }
+
+  /**
+   * Return `true` when `type` is a transaction type, or a union with one.
+   */
+  function isTransactionType(type) {
+    if (!transactionTypes.has(type)) {
+      const types = type.isUnion() ? [type, ...type.types] : [type];
+      transactionTypes.set(
+        type,
+        types.some(
+          (t) =>
+            isTransactionSymbol(t.aliasSymbol) ||
+            isTransactionSymbol(t.getSymbol()),
+        ),
+      );
+    }
+    return transactionTypes.get(type);
+  }
+
+  return {
+    /**
+     * Return `true` when the expression or binding identifier `node` is
+     * typed as a transaction.
+     */
+    isTransaction(node) {
+      const tsNode = getTSNode(node);
+      return (
+        tsNode != null && isTransactionType(checker.getTypeAtLocation(tsNode))
+      );
+    },
+
+    /**
+     * Return whether the expression `node` is a Model class — a class
+     * constructor whose instances extend objection's `Model`, such as
+     * `User`, `this` in a static method or `User.bindKnex(knex)` — or
+     * `null` when its type is unknown (`any`, unresolved imports).
+     */
+    isModelClass(node) {
+      const tsNode = getTSNode(node);
+      if (tsNode == null) return null;
+      const type = checker.getTypeAtLocation(tsNode);
+      if (type.flags & ANY_OR_UNKNOWN) return null;
+      const types = type.isUnion() ? type.types : [type];
+      return types.some((t) =>
+        t
+          .getConstructSignatures()
+          .some((signature) => extendsModel(signature.getReturnType())),
+      );
+    },
+
+    /**
+     * Return the index of the first parameter typed as a transaction in the
+     * signature the call `node` resolves to, or `null`.  Only functions
+     * declared in the project's own source files are considered: library
+     * APIs such as `Model.startTransaction(knexOrTrx?)` accept a
+     * transaction without expecting the one in scope.
+     */
+    getTrxParameterIndex(node) {
+      const tsNode = getTSNode(node);
+      const signature = tsNode && checker.getResolvedSignature(tsNode);
+      const declaration = signature?.getDeclaration();
+      if (
+        declaration == null ||
+        declaration.getSourceFile().isDeclarationFile
+      ) {
+        return null;
+      }
+      const index = signature.getParameters().findIndex((param) => {
+        const paramDeclaration = param.valueDeclaration;
+        return (
+          paramDeclaration?.dotDotDotToken == null &&
+          isTransactionType(checker.getTypeOfSymbolAtLocation(param, tsNode))
+        );
+      });
+      return index === -1 ? null : index;
+    },
+  };
+}
@@ -0,0 +1,23 @@
+export async function createUser(trx, data) {
+  const user = await User.query(trx).insert(data);
+  await Profile.query().insert({ userId: user.id });
+  return user;
+}
+
+export function findUser(id) {
+  return User.query().findById(id);
+}
+
+export function formatName(user) {
+  return `${user.firstName} ${user.lastName}`;
+}
+
+export class UserRepository {
+  constructor(trx) {
+    this.trx = trx;
+  }
+
+  remove(id) {
+    return User.query(this.trx).deleteById(id);
+  }
+}
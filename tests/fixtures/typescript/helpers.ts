@@ -0,0 +1,8 @@
+import type { Knex } from "knex";
+import type { TransactionOrKnex } from "objection";
+
+export async function saveAudit(data: object, trx?: Knex.Transaction) {}
+
+export async function lockRows(db?: TransactionOrKnex) {}
+
+export function log(message: string) {}
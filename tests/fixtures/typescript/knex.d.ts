@@ -0,0 +1,18 @@
+// Minimal stand-in for the `knex` type declarations used by the tests.
+declare module "knex" {
+  export interface Knex {
+    (table: string): any;
+    raw(sql: string): any;
+    transaction(): Promise<Knex.Transaction>;
+  }
+
+  export namespace Knex {
+    interface Transaction extends Knex {
+      commit(value?: unknown): Promise<void>;
+      rollback(error?: unknown): Promise<void>;
+      isCompleted(): boolean;
+    }
+  }
+
+  export function knex(config: object): Knex;
+}
@@ -0,0 +1,9 @@
+import { Model } from "objection";
+
+export class User extends Model {}
+
+export class GraphQLClient {
+  static query(document: string, variables?: object): any {
+    return null;
+  }
+}
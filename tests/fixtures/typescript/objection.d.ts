@@ -0,0 +1,21 @@
+// Minimal stand-in for the `objection` type declarations used by the tests.
+declare module "objection" {
+  import { Knex } from "knex";
+
+  export type Transaction = Knex.Transaction;
+  export type TransactionOrKnex = Transaction | Knex;
+
+  export class Model {
+    static query<M extends Model>(trxOrKnex?: TransactionOrKnex): any;
+    static relatedQuery(
+      relationName: string,
+      trxOrKnex?: TransactionOrKnex,
+    ): any;
+    static startTransaction(
+      knexOrTransaction?: TransactionOrKnex,
+    ): Promise<Transaction>;
+    static bindKnex<M>(this: M, trxOrKnex: TransactionOrKnex): M;
+    static bindTransaction<M>(this: M, trxOrKnex: TransactionOrKnex): M;
+    $query(trxOrKnex?: TransactionOrKnex): any;
+  }
+}
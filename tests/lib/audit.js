@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { describe, it } from "mocha";
+import { audit, toSarif } from "../../lib/audit.js";
+
+const cwd = fileURLToPath(new URL("../fixtures/audit", import.meta.url));
+const bin = fileURLToPath(
+  new URL("../../bin/objection-trx-audit.js", import.meta.url),
+);
+
+describe("audit", () => {
+  it("reports the transaction coverage of each function", async () => {
+    const report = await audit(["."], { cwd });
+
+    assert.deepEqual(
+      report.files.map((file) => file.file),
+      ["user-service.js"],
+    );
+    const [{ functions }] = report.files;
+    assert.deepEqual(
+      functions.map((fn) => [
+        fn.name,
+        fn.transaction,
+        fn.calls.map((call) => `${call.callee}:${call.status}`),
+      ]),
+      [
+        [
+          "createUser",
+          "trx",
+          ["User.query:forwarded", "Profile.query:missing"],
+        ],
+        ["findUser", null, ["User.query:none"]],
+        ["UserRepository.constructor", "trx", []],
+        ["UserRepository.remove", "this.trx", ["User.query:forwarded"]],
+      ],
+    );
+    assert.equal(
+      functions[0].calls[1].message,
+      "`.query()` called without `trx` inside a function that has `trx` available. Pass `trx` as the first argument.",
+    );
+    assert.deepEqual(report.summary, {
+      files: 1,
+      functions: 4,
+      functionsWithTransaction: 3,
+      calls: 4,
+      forwarded: 2,
+      missing: 1,
+      none: 1,
+    });
+  });
+
+  it("uses the configured transaction identifiers", async () => {
+    const report = await audit(["user-service.js"], { cwd, names: ["tx"] });
+
+    assert.equal(report.summary.functionsWithTransaction, 0);
+    assert.equal(report.summary.none, 4);
+  });
+
+  it("converts the report to SARIF", async () => {
+    const sarif = toSarif(await audit(["."], { cwd }));
+
+    assert.equal(sarif.version, "2.1.0");
+    const [run] = sarif.runs;
+    assert.equal(run.tool.driver.name, "objection-trx-audit");
+    assert.deepEqual(
+      run.results.map((result) => [
+        result.ruleId,
+        result.level,
+        result.locations[0].physicalLocation.artifactLocation.uri,
+        result.locations[0].physicalLocation.region,
+      ]),
+      [
+        [
+          "objection-trx/require-trx-forwarding",
+          "error",
+          "user-service.js",
+          { startLine: 3, startColumn: 9, endLine: 3, endColumn: 24 },
+        ],
+        [
+          "objection-trx-audit/no-transaction",
+          "note",
+          "user-service.js",
+          { startLine: 8, startColumn: 10, endLine: 8, endColumn: 22 },
+        ],
+      ],
+    );
+  });
+
+  it("runs as the objection-trx-audit command", async () => {
+    const { stdout } = await promisify(execFile)(
+      process.execPath,
+      [bin, "--format", "sarif", "."],
+      { cwd },
+    );
+
+    assert.equal(JSON.parse(stdout).runs[0].results.length, 2);
+  });
+});
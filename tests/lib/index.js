@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import { Linter } from "eslint";
+import { describe, it } from "mocha";
+import plugin, * as pluginModule from "../../lib/index.js";
+
+const ruleIds = Object.keys(plugin.rules).map(
+  (name) => `objection-trx/${name}`,
+);
+
+const flatConfigs = [
+  "recommended",
+  "recommended-type-checked",
+  "strict",
+  "all",
+  "flat/recommended",
+];
+
+describe("plugin configs", () => {
+  it("enables every rule in `all`", () => {
+    assert.deepEqual(Object.keys(plugin.configs.all.rules).sort(), ruleIds);
+    for (const severity of Object.values(plugin.configs.all.rules)) {
+      assert.equal(severity, "error");
+    }
+  });
+
+  it("enables every rule in `strict`", () => {
+    assert.deepEqual(Object.keys(plugin.configs.strict.rules).sort(), ruleIds);
+  });
+
+  it("only references rules of the plugin", () => {
+    for (const config of Object.values(plugin.configs)) {
+      for (const ruleId of Object.keys(config.rules)) {
+        assert.ok(ruleIds.includes(ruleId), `unknown rule ${ruleId}`);
+      }
+    }
+  });
+
+  it("aliases `flat/recommended` to `recommended`", () => {
+    assert.equal(
+      plugin.configs["flat/recommended"],
+      plugin.configs.recommended,
+    );
+  });
+
+  it("provides `legacy-recommended` in eslintrc format", () => {
+    const config = plugin.configs["legacy-recommended"];
+    assert.deepEqual(config.plugins, ["objection-trx"]);
+    assert.deepEqual(config.rules, plugin.configs.recommended.rules);
+  });
+
+  it("exposes `rules` and `configs` as named exports for eslintrc", () => {
+    assert.equal(pluginModule.rules, plugin.rules);
+    assert.equal(pluginModule.configs, plugin.configs);
+  });
+
+  for (const name of flatConfigs) {
+    it(`lints with the \`${name}\` flat config`, () => {
+      const linter = new Linter();
+      const messages = linter.verify(
+        "async function save(trx) { await User.query().insert(data); }",
+        [plugin.configs[name]],
+      );
+      // `strict` and `all` also report the unused parameter.
+      const expected =
+        name === "strict" || name === "all"
+          ? [
+              "objection-trx/no-unused-trx-param",
+              "objection-trx/require-trx-forwarding",
+            ]
+          : ["objection-trx/require-trx-forwarding"];
+      assert.deepEqual(
+        messages.map((message) => message.ruleId),
+        expected,
+      );
+    });
+  }
+});
+
+describe("rule options", () => {
+  const lintWith = (options) =>
+    new Linter().verify("async function save(trx) {}", [
+      {
+        plugins: { "objection-trx": plugin },
+        rules: { "objection-trx/require-trx-forwarding": ["error", options] },
+      },
+    ]);
+  const lint = (pattern) => lintWith({ pattern });
+
+  it("rejects a `pattern` that is not a regular expression", () => {
+    assert.throws(() => lint("(trx"), /should match format "regex"/u);
+  });
+
+  it("names the rule and option when `pattern` is invalid with the `u` flag", () => {
+    assert.throws(
+      () => lint("\\-trx"),
+      /Error while loading rule 'objection-trx\/require-trx-forwarding': Invalid `pattern` option "\\-trx"/u,
+    );
+  });
+
+  it("validates the fields of `methods` entries", () => {
+    lintWith({ methods: { scoped: { argument: 1, model: true } } });
+    assert.throws(
+      () => lintWith({ methods: { scoped: { argument: -1 } } }),
+      /Key "objection-trx\/require-trx-forwarding"/u,
+    );
+    assert.throws(
+      () => lintWith({ methods: { scoped: { argument: 0, transaction: 1 } } }),
+      /Key "objection-trx\/require-trx-forwarding"/u,
+    );
+  });
+});
@@ -0,0 +1,109 @@
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/no-floating-query-in-transaction-callback.js";
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("no-floating-query-in-transaction-callback", rule, {
+  valid: [
+    // awaited / returned queries
+    `Model.transaction(async (trx) => { await User.query(trx).insert(row); });`,
+    `Model.transaction((trx) => User.query(trx).insert(row));`,
+    `Model.transaction((trx) => { return User.query(trx).insert(row); });`,
+    `knex.transaction(async (trx) => { await trx("users").insert(row); });`,
+    `Model.transaction(async (trx) => { await Promise.all(rows.map((row) => User.query(trx).insert(row))); });`,
+    `Model.transaction(async (trx) => { const query = User.query(trx); await query.insert(row); });`,
+    // explicitly discarded
+    `Model.transaction(async (trx) => { void User.query(trx).insert(row); });`,
+    // outside a transaction callback
+    `async function f(trx) { User.query(trx).insert(row); }`,
+    `rows.forEach(async (row) => { await User.query().insert(row); });`,
+    `sequelize.transaction(async (t) => { User.query().insert(row); });`,
+    `transaction(async (t) => { User.query().insert(row); });`,
+    // not a query
+    `Model.transaction(async (trx) => { logger.info("saving"); trx.on("query", log); });`,
+    `Model.transaction(async (trx) => { connection.query(sql); });`,
+    `Model.transaction(async (t) => { format("users"); });`,
+    // synchronous forEach without queries
+    `Model.transaction(async (trx) => { rows.forEach(async (row) => { console.log(row); }); });`,
+    // for…of with await
+    `Model.transaction(async (trx) => { for (const row of rows) { await User.query(trx).insert(row); } });`,
+  ],
+  invalid: [
+    {
+      code: `Model.transaction(async (trx) => { User.query(trx).insert(row); });`,
+      errors: [
+        {
+          message:
+            "Query inside a transaction callback is neither awaited nor returned. It can run after the transaction commits, or escape a rollback. Await or return it.",
+          column: 36,
+        },
+      ],
+    },
+    {
+      // transaction builders
+      code: `knex.transaction(async (trx) => { trx("users").insert(row); trx.raw("select 1"); });`,
+      errors: [{ messageId: "floatingQuery" }, { messageId: "floatingQuery" }],
+    },
+    {
+      // instance queries and .then() chains
+      code: `trx.transaction(async (inner) => { user.$query(inner).patch(data).then(log); user.$relatedQuery("pets", inner).relate(pet); });`,
+      errors: [{ messageId: "floatingQuery" }, { messageId: "floatingQuery" }],
+    },
+    {
+      // objection's transaction() helper, function callback
+      code: `transaction(User.knex(), function (trx) { User.query(trx).delete(); return Promise.resolve(); });`,
+      errors: [{ messageId: "floatingQuery" }],
+    },
+    {
+      // optional chaining
+      code: `Model.transaction(async (trx) => { user?.$query(trx).delete(); });`,
+      errors: [{ messageId: "floatingQuery" }],
+    },
+    {
+      // inside a nested callback of the transaction callback
+      code: `Model.transaction(async (trx) => { rows.forEach((row) => { User.query(trx).insert(row); }); });`,
+      errors: [{ messageId: "floatingQuery" }],
+    },
+    {
+      // forEach with an async callback
+      code: `Model.transaction(async (trx) => { rows.forEach(async (row) => { await User.query(trx).insert(row); }); });`,
+      errors: [
+        {
+          message:
+            "`forEach()` does not wait for async callbacks, so their queries can run after the transaction commits. Use `for…of` with `await`, or `await Promise.all(….map(…))`.",
+        },
+      ],
+    },
+    {
+      code: `Model.transaction(async (trx) => { rows.forEach(async function (row) { await trx("users").insert(row); }); });`,
+      errors: [{ messageId: "asyncForEach" }],
+    },
+    {
+      // callback parameter, whatever its name
+      code: `Model.transaction(async (t) => { t("users").insert(row); });`,
+      errors: [{ messageId: "floatingQuery" }],
+    },
+    {
+      code: `knex.transaction(async (t) => { t.raw(sql); });`,
+      errors: [{ messageId: "floatingQuery" }],
+    },
+    {
+      // alias of the transaction
+      code: `Model.transaction(async (trx) => { const db = trx; db("users").del(); });`,
+      errors: [{ messageId: "floatingQuery" }],
+    },
+    {
+      // configured identifiers
+      code: `async function save(tx) { await Model.transaction(async () => { tx("users").del(); }); }`,
+      options: [{ names: ["tx"] }],
+      errors: [{ messageId: "floatingQuery" }],
+    },
+    {
+      // imports mode — only real models count
+      code: `import account from "../models/account.js"; Model.transaction(async (trx) => { account.query(trx).delete(); Redis.query("x"); });`,
+      filename: "src/services/account.js",
+      settings: { "objection-trx": { modelModules: ["src/models/**"] } },
+      errors: [{ messageId: "floatingQuery" }],
+    },
+  ],
+});
@@ -0,0 +1,149 @@
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/no-knex-builder-outside-trx.js";
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("no-knex-builder-outside-trx", rule, {
+  valid: [
+    // no trx in scope — not flagged
+    `async function save(knex) { await knex("users").insert(data); }`,
+    // builder on the transaction itself
+    `async function save(trx) { await trx("users").insert(data); }`,
+    `async function save(trx) { await trx.raw("select 1"); }`,
+    // knex builder bound to the transaction
+    `async function save(trx) { await knex("users").insert(data).transacting(trx); }`,
+    `async function save(trx) { await knex.select("*").from("users").transacting(trx); }`,
+    // non-builder knex methods are not flagged
+    `async function run(trx) { await knex.transaction(async (inner) => {}); await knex.destroy(); knex.fn.now(); }`,
+    `async function run(trx) { await knex.schema.createTable("users", cb); }`,
+    // other identifiers are not knex instances by default
+    `async function save(trx) { await db("users").insert(data); }`,
+    // trx declared after the builder — not flagged
+    `async function save() { await knex("users").insert(data); const trx = await knex.transaction(); }`,
+    // builders passed as values to another query run as part of it
+    `async function save(trx) { await trx("events").insert({ at: knex.raw("now()") }); await User.query(trx).patch({ seen: knex.raw("seen + 1") }); }`,
+    `async function list(trx) { return trx("users").whereIn("id", knex.select("userId").from("pets")); }`,
+    `async function list(trx) { return User.query(trx).whereIn("id", knex("pets").select("userId")).where("at", ">", knex.fn.now()); }`,
+    `async function save(trx) { await trx.raw("insert into ?? values ?", ["events", knex.raw("default")]); }`,
+    // builder after trx.commit() — transaction finalized, not flagged
+    `async function save(trx) { await trx.commit(); await knex("users").insert(data); }`,
+    // configured transaction identifier
+    {
+      code: `async function save(tx) { await knex("users").insert(data).transacting(tx); }`,
+      options: [{ names: ["tx"] }],
+    },
+    // a knex name that is also a transaction name is the transaction
+    {
+      code: `async function save(trx) { await trx("users").insert(data); }`,
+      options: [{ knexNames: ["knex", "trx"] }],
+    },
+    // transaction held on a configured member path
+    {
+      code: `async function save(ctx) { await knex("users").insert(data).transacting(ctx.trx); }`,
+      options: [{ paths: ["ctx.trx"] }],
+    },
+    // not a transaction callback
+    `sequelize.transaction(async (t) => { await knex("a").insert(data); });`,
+  ],
+  invalid: [
+    {
+      code: `async function save(trx) { await knex("users").insert(data); }`,
+      output: `async function save(trx) { await trx("users").insert(data); }`,
+      errors: [
+        {
+          message:
+            "`knex` query builder runs outside the transaction while `trx` is available. Use `trx` instead of `knex` or chain `.transacting(trx)`.",
+        },
+      ],
+    },
+    {
+      // arguments of other calls still run on their own
+      code: `async function save(trx) { await Promise.all([knex("users").insert(data)]); }`,
+      output: `async function save(trx) { await Promise.all([trx("users").insert(data)]); }`,
+      errors: [{ messageId: "builderOutsideTrx" }],
+    },
+    {
+      // builder method on the knex instance
+      code: `async function save(trx) { await knex.raw("update users set active = true"); }`,
+      output: `async function save(trx) { await trx.raw("update users set active = true"); }`,
+      errors: [{ messageId: "builderOutsideTrx" }],
+    },
+    {
+      // the transaction is shadowed at the builder: reported without a fix
+      code: `await Model.transaction(async (t) => rows.map((t) => knex("a").insert(t)));`,
+      errors: [
+        { messageId: "builderOutsideTrx", data: { knex: "knex", name: "t" } },
+      ],
+    },
+    {
+      // another library's transaction() callback does not hold a transaction
+      code: `async function save(trx) { await sequelize.transaction(async (t) => { await knex("a").insert(data); }); }`,
+      output: `async function save(trx) { await sequelize.transaction(async (t) => { await trx("a").insert(data); }); }`,
+      errors: [
+        { messageId: "builderOutsideTrx", data: { knex: "knex", name: "trx" } },
+      ],
+    },
+    {
+      code: `async function list(trx) { return knex.select("*").from("users"); }`,
+      output: `async function list(trx) { return trx.select("*").from("users"); }`,
+      errors: [{ messageId: "builderOutsideTrx" }],
+    },
+    {
+      // nested callback — trx available from outer scope
+      code: `async function save(trx) { await Promise.all(rows.map((row) => knex("users").insert(row))); }`,
+      output: `async function save(trx) { await Promise.all(rows.map((row) => trx("users").insert(row))); }`,
+      errors: [{ messageId: "builderOutsideTrx" }],
+    },
+    {
+      // bound to another transaction — reported without a fix
+      code: `async function save(trx) { await knex("users").insert(data).transacting(other); }`,
+      errors: [{ messageId: "builderOutsideTrx" }],
+    },
+    {
+      // fixStyle: transacting
+      code: `async function save(trx) { await knex("users").where("id", 1).del(); }`,
+      output: `async function save(trx) { await knex("users").transacting(trx).where("id", 1).del(); }`,
+      options: [{ fixStyle: "transacting" }],
+      errors: [{ messageId: "builderOutsideTrx" }],
+    },
+    {
+      // configured knex and transaction identifiers
+      code: `async function save(tx) { await db("users").insert(data); await knex("logs").insert(log); }`,
+      output: `async function save(tx) { await tx("users").insert(data); await tx("logs").insert(log); }`,
+      options: [{ names: ["tx"], knexNames: ["knex", "db"] }],
+      errors: [
+        { messageId: "builderOutsideTrx" },
+        { messageId: "builderOutsideTrx" },
+      ],
+    },
+    {
+      // transaction held on a configured member path
+      code: `async function save(ctx) { await knex("users").insert(data); }`,
+      output: `async function save(ctx) { await ctx.trx("users").insert(data); }`,
+      options: [{ paths: ["ctx.trx"] }],
+      errors: [
+        {
+          messageId: "builderOutsideTrx",
+          data: { knex: "knex", name: "ctx.trx" },
+        },
+      ],
+    },
+    {
+      // the path's root object shadows another one: reported without a fix
+      code: `async function save(ctx) { await Promise.all(items.map((ctx) => knex("users").insert(ctx))); }`,
+      options: [{ paths: ["ctx.trx"] }],
+      errors: [
+        {
+          messageId: "builderOutsideTrx",
+          data: { knex: "knex", name: "ctx.trx" },
+        },
+      ],
+    },
+    {
+      // builder BEFORE trx.commit() — still flagged
+      code: `async function save(trx) { await knex("users").insert(data); await trx.commit(); }`,
+      output: `async function save(trx) { await trx("users").insert(data); await trx.commit(); }`,
+      errors: [{ messageId: "builderOutsideTrx" }],
+    },
+  ],
+});
@@ -0,0 +1,137 @@
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/no-trx-in-detached-callbacks.js";
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("no-trx-in-detached-callbacks", rule, {
+  valid: [
+    // callbacks that run while the function waits
+    `async function f(trx) { await Promise.all(rows.map((row) => User.query(trx).insert(row))); }`,
+    `async function f(trx) { await User.query(trx).then((rows) => Pet.query(trx).whereIn("ownerId", rows)); }`,
+    `async function f(trx) { return User.query(trx).then((rows) => Pet.query(trx)); }`,
+    `async function f(trx) { const p = User.query(trx).then(() => trx.commit()); await p; }`,
+    // detached callbacks that do not use the transaction
+    `async function f(trx) { setTimeout(() => notify(userId), 100); }`,
+    `async function f(trx) { emitter.on("saved", (row) => log(row)); }`,
+    // the callback receives its own trx
+    `async function f(trx) { emitter.on("job", async (trx) => { await User.query(trx); }); }`,
+    // listeners on the transaction itself
+    `async function f(trx) { trx.on("query-error", (error) => trx.rollback(error)); }`,
+    // streaming a query of the transaction
+    `async function f(trx) { trx("users").stream().on("data", (row) => trx("audit").insert(row)); }`,
+    `async function f(trx) { trx.select().from("users").stream().on("end", () => trx.commit()); }`,
+    `async function f(trx) { User.query(trx).stream().on("data", (row) => Audit.query(trx).insert(row)); }`,
+    // streams stored in a variable and consumed in the transaction
+    `async function f(trx) { const stream = User.query(trx).stream(); stream.on("data", (row) => Audit.query(trx).insert(row)); await finished(stream); }`,
+    `async function f(trx) { const users = knex("users").transacting(trx); const stream = users.stream(); stream.once("end", () => trx.commit()); }`,
+    // module-level transactions are not owned by a function
+    `const trx = await knex.transaction(); setTimeout(() => trx.commit(), 10);`,
+    // callbacks passed by reference
+    `async function f(trx) { setTimeout(flush, 10); }`,
+    // API removed from the configured list
+    {
+      code: `async function f(trx) { setImmediate(() => User.query(trx)); }`,
+      options: [{ callees: ["setTimeout"] }],
+    },
+  ],
+  invalid: [
+    {
+      // a stored stream not bound to the transaction
+      code: `async function f(trx) { const stream = knex("users").stream(); stream.on("data", (row) => trx("audit").insert(row)); }`,
+      errors: [{ messageId: "detachedCallback" }],
+    },
+    {
+      // a reassigned variable is not followed
+      code: `async function f(trx) { let stream = trx("users").stream(); stream = other; stream.on("data", (row) => trx("audit").insert(row)); }`,
+      errors: [{ messageId: "detachedCallback" }],
+    },
+    {
+      // a stream not rooted at the transaction
+      code: `async function f(trx) { knex("users").stream().on("data", (row) => trx("audit").insert(row)); }`,
+      errors: [{ messageId: "detachedCallback" }],
+    },
+    {
+      code: `async function f(trx) { setTimeout(() => User.query(trx).delete(), 100); }`,
+      errors: [
+        {
+          message:
+            "`trx` is captured by a callback passed to `setTimeout()`, which can run after the transaction has finished. Do the work inside the transaction and await it.",
+          column: 53,
+        },
+      ],
+    },
+    {
+      code: `async function f(trx) { process.nextTick(async () => { await trx("audit").insert(entry); }); setImmediate(function () { trx.raw("select 1"); }); }`,
+      errors: [
+        {
+          messageId: "detachedCallback",
+          data: { name: "trx", callee: "process.nextTick" },
+        },
+        {
+          messageId: "detachedCallback",
+          data: { name: "trx", callee: "setImmediate" },
+        },
+      ],
+    },
+    {
+      // event emitter listeners
+      code: `async function f(trx) { emitter.once("done", () => Audit.query(trx).insert(entry)); this.bus.on("x", () => trx.commit()); }`,
+      errors: [
+        {
+          messageId: "detachedCallback",
+          data: { name: "trx", callee: ".once" },
+        },
+        { messageId: "detachedCallback", data: { name: "trx", callee: ".on" } },
+      ],
+    },
+    {
+      // un-awaited promise chain
+      code: `async function f(trx) { User.query(trx).then((user) => user.$relatedQuery("pets", trx)); }`,
+      errors: [
+        {
+          messageId: "detachedCallback",
+          data: { name: "trx", callee: ".then" },
+        },
+      ],
+    },
+    {
+      code: `async function f(trx) { sendMail(user).catch(() => Failure.query(trx).insert({})).finally(() => trx.commit()); }`,
+      errors: [
+        {
+          messageId: "detachedCallback",
+          data: { name: "trx", callee: ".catch" },
+        },
+        {
+          messageId: "detachedCallback",
+          data: { name: "trx", callee: ".finally" },
+        },
+      ],
+    },
+    {
+      // nested detached callbacks report each reference once
+      code: `async function f(trx) { setTimeout(() => { emitter.on("x", () => trx.commit()); }); }`,
+      errors: [
+        {
+          messageId: "detachedCallback",
+          data: { name: "trx", callee: "setTimeout" },
+        },
+      ],
+    },
+    {
+      // transaction owned by the function
+      code: `async function f() { const trx = await knex.transaction(); setTimeout(() => trx.rollback(), 5000); await trx.commit(); }`,
+      errors: [{ messageId: "detachedCallback" }],
+    },
+    {
+      // configured APIs and identifiers
+      code: `async function f(tx) { queue.defer(() => tx("jobs").insert(job)); }`,
+      options: [{ names: ["tx"], callees: ["*.defer"] }],
+      errors: [
+        {
+          messageId: "detachedCallback",
+          data: { name: "tx", callee: ".defer" },
+        },
+      ],
+    },
+  ],
+});
@@ -0,0 +1,108 @@
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/no-trx-use-after-finalize.js";
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("no-trx-use-after-finalize", rule, {
+  valid: [
+    // uses before commit
+    `async function save(trx) { await Model.query(trx).insert(data); await trx("logs").insert(log); await trx.commit(); }`,
+    // queries after commit that no longer use the transaction
+    `async function save(trx) { await trx.commit(); await Model.query().findById(1); }`,
+    // completion checks are allowed
+    `async function save(trx) { await trx.commit(); if (trx.isCompleted()) log("done"); await trx.executionPromise; }`,
+    // commit in try, rollback in catch — conditional, not reported
+    `async function save(trx) { try { await Model.query(trx).insert(data); await trx.commit(); } catch (e) { await trx.rollback(); throw e; } }`,
+    // commit inside if — other paths may still use the transaction
+    `async function save(trx) { if (done) { await trx.commit(); } await Model.query(trx).insert(data); }`,
+    // commit in a nested function does not finalize the outer function's flow
+    `async function save(trx) { const finish = () => trx.commit(); await Model.query(trx).insert(data); await finish(); }`,
+    // a different transaction is used after the commit
+    `async function save(trx, other) { await trx.commit(); await Model.query(other).insert(data); }`,
+    // shadowed transaction in a later callback
+    `async function save(trx) { await trx.commit(); await knex.transaction(async (trx) => { await Model.query(trx).insert(data); }); }`,
+    // reassigning the variable is not a use
+    `async function run() { let trx = await knex.transaction(); await trx.commit(); trx = null; }`,
+    // a new transaction assigned after the commit
+    `async function run() { let trx = await knex.transaction(); await trx.commit(); trx = await knex.transaction(); await User.query(trx); await trx.commit(); }`,
+    // rollback on an early-return path — the rest of the function is still active
+    `async function save(trx) { if (invalid) { await trx.rollback(); return; } await Model.query(trx).insert(data); await trx.commit(); }`,
+    // rollback in one branch, query in the other
+    `async function save(trx) { if (invalid) { await trx.rollback(); } else { await Model.query(trx).insert(data); } }`,
+    // commit inside a loop that may not run
+    `async function save(trx) { for (const row of rows) { await Model.query(trx).insert(row); } await trx.commit(); }`,
+    // `tx` is not a transaction identifier by default
+    `async function save(tx) { await tx.commit(); await Model.query(tx).insert(data); }`,
+  ],
+  invalid: [
+    {
+      code: `async function save(trx) { await trx.commit(); await Model.query(trx).findById(1); }`,
+      errors: [
+        {
+          message:
+            "`trx` is used after it was committed or rolled back. The transaction is already complete and any query on it will fail.",
+          column: 66,
+        },
+      ],
+    },
+    {
+      // trx as a query builder after rollback
+      code: `async function save(trx) { await trx.rollback(); await trx("users").insert(data); await trx.raw("select 1"); }`,
+      errors: [
+        { messageId: "useAfterFinalize", column: 56 },
+        { messageId: "useAfterFinalize", column: 89 },
+      ],
+    },
+    {
+      // forwarded as a transaction option after commit
+      code: `async function save(trx) { await trx.commit(); await item.$fetchGraph(expr, { transaction: trx }); }`,
+      errors: [{ messageId: "useAfterFinalize" }],
+    },
+    {
+      // finalized twice
+      code: `async function save(trx) { await trx.commit(); await trx.rollback(); }`,
+      errors: [{ messageId: "useAfterFinalize" }],
+    },
+    {
+      // without await
+      code: `function save(trx) { trx.commit(); return Model.query(trx); }`,
+      errors: [{ messageId: "useAfterFinalize" }],
+    },
+    {
+      // captured by a callback created after the commit
+      code: `async function save(trx) { await trx.commit(); setTimeout(() => Model.query(trx).insert(data)); }`,
+      errors: [{ messageId: "useAfterFinalize" }],
+    },
+    {
+      // transaction started in the function body
+      code: `async function save() { const trx = await knex.transaction(); await Model.query(trx).insert(data); await trx.commit(); await Model.query(trx).findById(1); }`,
+      errors: [{ messageId: "useAfterFinalize" }],
+    },
+    {
+      // configured transaction identifier
+      code: `async function save(tx) { await tx.commit(); await Model.query(tx).insert(data); }`,
+      options: [{ names: ["tx"] }],
+      errors: [
+        {
+          message:
+            "`tx` is used after it was committed or rolled back. The transaction is already complete and any query on it will fail.",
+        },
+      ],
+    },
+    {
+      // finalized on both branches of an if
+      code: `async function save(trx) { if (ok) { await trx.commit(); } else { await trx.rollback(); } await Model.query(trx).insert(data); }`,
+      errors: [{ messageId: "useAfterFinalize" }],
+    },
+    {
+      // commit in finally — always finalized afterwards
+      code: `async function save(trx) { try { await work(trx); } finally { await trx.commit(); } await trx("logs").insert(log); }`,
+      errors: [{ messageId: "useAfterFinalize" }],
+    },
+    {
+      // use later in the same branch as the rollback
+      code: `async function save(trx) { if (invalid) { await trx.rollback(); await Model.query(trx).insert(log); return; } }`,
+      errors: [{ messageId: "useAfterFinalize" }],
+    },
+  ],
+});
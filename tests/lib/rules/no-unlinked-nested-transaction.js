@@ -0,0 +1,159 @@
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/no-unlinked-nested-transaction.js";
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("no-unlinked-nested-transaction", rule, {
+  valid: [
+    // no trx in scope — a top-level transaction is intended
+    `async function run() { await Model.transaction(async (trx) => {}); }`,
+    `async function run() { const trx = await Model.startTransaction(); }`,
+    `async function run() { await knex.transaction(async (trx) => {}); }`,
+    // nested in the outer transaction
+    `async function run(trx) { await Model.transaction(trx, async (inner) => {}); }`,
+    `async function run(trx) { await trx.transaction(async (inner) => {}); }`,
+    `async function run(trx) { const inner = await Model.startTransaction(trx); }`,
+    // transaction callback of the outer transaction itself
+    `async function run() { await Model.transaction(async (trx) => { await User.query(trx); }); }`,
+    // not a Model class or knex instance
+    `async function run(trx) { await sequelize.transaction(async (t) => {}); }`,
+    `async function run(trx) { await Model.query(trx).transaction; }`,
+    // `this` outside static methods of Model subclasses
+    `class Svc { async run(trx) { await this.transaction(async (inner) => {}); } }`,
+    `class User extends Model { async reset(trx) { await this.transaction(async (inner) => {}); } }`,
+    `class Svc { static async run(trx) { await this.startTransaction(); } }`,
+    // after the outer transaction was committed
+    `async function run(trx) { await trx.commit(); await Model.transaction(async (next) => {}); }`,
+    // spread arguments
+    `async function run(trx) { await Model.transaction(...args); }`,
+    // configured identifiers
+    {
+      code: `async function run(tx) { await db.transaction(async (inner) => {}); }`,
+      options: [{ names: ["tx"] }],
+    },
+    {
+      code: `async function run(tx) { await Model.transaction(tx, async (inner) => {}); }`,
+      options: [{ names: ["tx"] }],
+    },
+    // transaction held on a configured member path
+    {
+      code: `async function run(ctx) { await Model.startTransaction(ctx.trx); }`,
+      options: [{ paths: ["ctx.trx"] }],
+    },
+  ],
+  invalid: [
+    {
+      code: `async function run(trx) { await Model.transaction(async (inner) => { await User.query(inner); }); }`,
+      output: `async function run(trx) { await Model.transaction(trx, async (inner) => { await User.query(inner); }); }`,
+      errors: [
+        {
+          message:
+            "`Model.transaction()` starts a new top-level transaction while `trx` is available, so rolling back `trx` will not undo it. Pass `trx` as the first argument to nest it.",
+        },
+      ],
+    },
+    {
+      // the transaction is shadowed at the call: reported without a fix
+      code: `await Model.transaction(async (t) => rows.map((t) => User.transaction(handler)));`,
+      errors: [
+        {
+          messageId: "unlinkedModelTransaction",
+          data: { callee: "User.transaction", name: "t" },
+        },
+      ],
+    },
+    {
+      // callback passed by reference
+      code: `async function run(trx) { await User.transaction(handler); }`,
+      output: `async function run(trx) { await User.transaction(trx, handler); }`,
+      errors: [{ messageId: "unlinkedModelTransaction" }],
+    },
+    {
+      // inner callback shadowing the outer trx
+      code: `async function run(trx) { await Model.transaction(async (trx) => {}); }`,
+      output: `async function run(trx) { await Model.transaction(trx, async (trx) => {}); }`,
+      errors: [{ messageId: "unlinkedModelTransaction" }],
+    },
+    {
+      code: `async function run(trx) { const inner = await Model.startTransaction(); }`,
+      output: `async function run(trx) { const inner = await Model.startTransaction(trx); }`,
+      errors: [{ messageId: "unlinkedModelTransaction" }],
+    },
+    {
+      // static method of a Model class
+      code: `class User extends Model { static async reset(trx) { await this.transaction(async (inner) => {}); } }`,
+      output: `class User extends Model { static async reset(trx) { await this.transaction(trx, async (inner) => {}); } }`,
+      errors: [{ messageId: "unlinkedModelTransaction" }],
+    },
+    {
+      // explicit connection — reported without a fix
+      code: `async function run(trx) { await Model.transaction(knex, async (inner) => {}); }`,
+      errors: [{ messageId: "unlinkedModelTransaction" }],
+    },
+    {
+      code: `async function run(trx) { const inner = await Model.startTransaction(knex); }`,
+      errors: [{ messageId: "unlinkedModelTransaction" }],
+    },
+    {
+      // knex instance — reported without a fix
+      code: `async function run(trx) { await knex.transaction(async (inner) => {}); }`,
+      errors: [
+        {
+          message:
+            "`knex.transaction()` starts a new top-level transaction while `trx` is available, so rolling back `trx` will not undo it. Use `trx.transaction()` to nest it.",
+        },
+      ],
+    },
+    {
+      code: `async function run(trx) { const inner = await knex.transaction(); }`,
+      errors: [{ messageId: "unlinkedKnexTransaction" }],
+    },
+    {
+      // knex instance of a Model class
+      code: `async function run(trx) { await User.knex().transaction(async (inner) => {}); }`,
+      errors: [{ messageId: "unlinkedKnexTransaction" }],
+    },
+    {
+      // nested callback of the outer function
+      code: `async function run(trx) { await Promise.all(ids.map((id) => Model.transaction(async (inner) => {}))); }`,
+      output: `async function run(trx) { await Promise.all(ids.map((id) => Model.transaction(trx, async (inner) => {}))); }`,
+      errors: [{ messageId: "unlinkedModelTransaction" }],
+    },
+    {
+      // transaction callback parameter, whatever its name
+      code: `await knex.transaction(async (t) => { await Model.transaction(async (inner) => {}); });`,
+      output: `await knex.transaction(async (t) => { await Model.transaction(t, async (inner) => {}); });`,
+      errors: [
+        {
+          messageId: "unlinkedModelTransaction",
+          data: { callee: "Model.transaction", name: "t" },
+        },
+      ],
+    },
+    {
+      // transaction held on a configured member path
+      code: `async function run(ctx) { await Model.transaction(async (inner) => {}); }`,
+      output: `async function run(ctx) { await Model.transaction(ctx.trx, async (inner) => {}); }`,
+      options: [{ paths: ["ctx.trx"] }],
+      errors: [
+        {
+          messageId: "unlinkedModelTransaction",
+          data: { callee: "Model.transaction", name: "ctx.trx" },
+        },
+      ],
+    },
+    {
+      // configured identifiers
+      code: `async function run(tx) { await db.transaction(async (inner) => {}); await Model.transaction(async (inner) => {}); }`,
+      output: `async function run(tx) { await db.transaction(async (inner) => {}); await Model.transaction(tx, async (inner) => {}); }`,
+      options: [{ names: ["tx"], knexNames: ["db"] }],
+      errors: [
+        {
+          messageId: "unlinkedKnexTransaction",
+          data: { callee: "db.transaction", name: "tx" },
+        },
+        { messageId: "unlinkedModelTransaction" },
+      ],
+    },
+  ],
+});
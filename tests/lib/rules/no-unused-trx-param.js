@@ -0,0 +1,132 @@
+import tsParser from "@typescript-eslint/parser";
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/no-unused-trx-param.js";
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("no-unused-trx-param", rule, {
+  valid: [
+    // trx forwarded
+    `async function save(data, trx) { await User.query(trx).insert(data); }`,
+    // trx passed to a helper
+    `async function save(data, trx) { await saveAudit(data, trx); }`,
+    // any read counts, including finalizing it
+    `async function save(trx) { await trx.commit(); }`,
+    `const save = async (data, trx = null) => User.query(trx).insert(data);`,
+    // destructured options read
+    `async function save(data, { trx } = {}) { await User.query(trx).insert(data); }`,
+    `async function save(data, { trx: t }) { await User.query(t).insert(data); }`,
+    // no transaction parameter
+    `async function save(data, knex) { await User.query().insert(data); }`,
+    `async function save({ data }) { await User.query().insert(data); }`,
+    // underscore-prefixed parameters are ignored by default
+    `async function save(data, _trx) { await User.query().insert(data); }`,
+    `knex.transaction(async (_tx) => { await User.query().insert(data); });`,
+    `async function save(data, { trx: _trx }) { await User.query().insert(data); }`,
+    // objection's transaction(Model, cb) binds models, not a transaction
+    `transaction(Person, async (BoundPerson) => { await Person.query(); });`,
+    // configured transaction identifier
+    {
+      code: `async function save(data, trx) { await User.query().insert(data); }`,
+      options: [{ names: ["tx"] }],
+    },
+    // methods of classes implementing an interface
+    {
+      code: `class UserRepository implements Repository { async save(data, trx) { await User.query().insert(data); } }`,
+      options: [{ ignoreInterfaceMethods: true }],
+      languageOptions: { parser: tsParser },
+    },
+    // TypeScript parameter properties are read through `this`
+    {
+      code: `class UserRepository { constructor(private trx: Knex.Transaction) {} }`,
+      languageOptions: { parser: tsParser },
+    },
+    {
+      code: `class UserRepository { constructor(readonly trx = null) {} }`,
+      languageOptions: { parser: tsParser },
+    },
+    // other libraries' transaction() callbacks
+    `db.transaction(["users"], "readwrite", function (t) {});`,
+    `dataSource.transaction(async (manager) => { await save(data); });`,
+    `class Service { run() { return this.transaction(async (t) => {}); } }`,
+    // overload signatures and abstract methods have no body
+    {
+      code: `function save(data: object, trx: Knex.Transaction): Promise<void>; function save(data: object, trx: Knex.Transaction) { return User.query(trx).insert(data); }`,
+      languageOptions: { parser: tsParser },
+    },
+    {
+      code: `abstract class Repository { abstract save(data: object, trx: Knex.Transaction): Promise<void>; }`,
+      languageOptions: { parser: tsParser },
+    },
+  ],
+  invalid: [
+    {
+      code: `async function save(data, trx) { await User.query().insert(data); }`,
+      errors: [
+        {
+          message:
+            "`trx` is a transaction parameter but is never used, so this function's queries run outside the transaction. Forward `trx` or remove the parameter.",
+          line: 1,
+          column: 27,
+        },
+      ],
+    },
+    {
+      // default value
+      code: `const save = async (data, trx = null) => User.query().insert(data);`,
+      errors: [{ messageId: "unusedTrxParam", column: 27 }],
+    },
+    {
+      // written but never read
+      code: `function save(data, trx) { trx = knex; return User.query(knex).insert(data); }`,
+      errors: [{ messageId: "unusedTrxParam" }],
+    },
+    {
+      // destructured options
+      code: `async function save(data, { trx } = {}) { await User.query().insert(data); }`,
+      errors: [{ messageId: "unusedTrxParam", column: 29 }],
+    },
+    {
+      code: `async function save(data, { trx: t, force }) { await User.query().insert(data, force); }`,
+      errors: [{ messageId: "unusedTrxParam", data: { name: "t" } }],
+    },
+    {
+      // transaction callback parameter, by origin
+      code: `await User.transaction(async (tx) => { await User.query().insert(data); });`,
+      languageOptions: { sourceType: "module" },
+      errors: [{ messageId: "unusedTrxParam", data: { name: "tx" } }],
+    },
+    {
+      // class methods
+      code: `class UserRepository { async save(data, trx) { await User.query().insert(data); } }`,
+      errors: [{ messageId: "unusedTrxParam" }],
+    },
+    {
+      // interface methods are checked unless ignoreInterfaceMethods is set
+      code: `class UserRepository implements Repository { async save(data, trx) { await User.query().insert(data); } }`,
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "unusedTrxParam" }],
+    },
+    {
+      // ignoreInterfaceMethods only applies to implementing classes
+      code: `class UserRepository extends Repository { async save(data, trx) { await User.query().insert(data); } }`,
+      options: [{ ignoreInterfaceMethods: true }],
+      errors: [{ messageId: "unusedTrxParam" }],
+    },
+    {
+      code: `async function save(data, _trx) { await User.query().insert(data); }`,
+      options: [{ pattern: "^_?trx$", ignoreUnderscorePrefixed: false }],
+      errors: [{ messageId: "unusedTrxParam", data: { name: "_trx" } }],
+    },
+    {
+      // nested functions are checked on their own
+      code: `async function save(trx) { await trx.commit(); items.map((trx) => User.query().insert(data)); }`,
+      errors: [{ messageId: "unusedTrxParam", column: 59 }],
+    },
+    {
+      // queries forwarding another transaction do not use the parameter
+      code: `async function save(data, trx) { await knex.transaction(async (inner) => User.query(inner).insert(data)); }`,
+      errors: [{ messageId: "unusedTrxParam", data: { name: "trx" } }],
+    },
+  ],
+});
@@ -0,0 +1,107 @@
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/require-transaction-for-multiple-writes.js";
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("require-transaction-for-multiple-writes", rule, {
+  valid: [
+    // a single write
+    `async function f() { await User.query().insert(user); }`,
+    // reads do not count
+    `async function f() { const user = await User.query().findById(1); await user.$query().patch(data); }`,
+    // writes passed a transaction
+    `async function f(trx) { await User.query(trx).insert(user); await Profile.query(trx).insert(profile); }`,
+    // writes bound with .transacting(trx)
+    `async function f(trx) { await User.query().insert(user).transacting(trx); await Profile.query().insert(profile).transacting(trx); }`,
+    // writes inside a managed transaction callback
+    `async function f() { await User.transaction(async (trx) => { await User.query(trx).insert(user); await Profile.query(trx).insert(profile); }); }`,
+    // trx in scope but not forwarded is left to require-trx-forwarding
+    `async function f(trx) { await User.query().insert(user); await Profile.query().insert(profile); }`,
+    // writes in separate functions
+    `async function a() { await User.query().insert(user); } async function b() { await Profile.query().insert(profile); }`,
+    `async function f() { await User.query().insert(user); rows.forEach(async (row) => { await Row.query().insert(row); }); }`,
+    // not Objection chains
+    `async function f() { await knex("users").insert(user); await knex("profiles").insert(profile); }`,
+    `async function f() { await client.query().insert(a); await client.query().insert(b); }`,
+    // module-level writes
+    `await User.query().insert(user); await Profile.query().insert(profile);`,
+    // a loop over the results of a single write
+    `async function f() { for (const row of await User.query().insert(rows)) { log(row); } }`,
+    // loops passing the transaction
+    `async function f(trx) { for (const row of rows) { await Row.query(trx).insert(row); } }`,
+    `async function f() { for (const user of users) { await user.$fetchGraph("pets"); } }`,
+    // methods configured like require-trx-forwarding
+    {
+      code: `async function f() { await User.query().insert(user); await Profile.query().insert(profile); }`,
+      options: [{ methods: { query: false } }],
+    },
+    {
+      code: `async function f(trx) { await User.scoped({ transaction: trx }).insert(user); await Profile.scoped({ transaction: trx }).insert(profile); }`,
+      options: [{ methods: { scoped: { option: 0, model: true } } }],
+    },
+    // raised threshold
+    {
+      code: `async function f() { await User.query().insert(user); await Profile.query().insert(profile); }`,
+      options: [{ maxWrites: 2 }],
+    },
+  ],
+  invalid: [
+    {
+      code: `async function f() { await User.query().insert(user); await Profile.query().insert(profile); }`,
+      errors: [
+        {
+          message:
+            "This function performs 2 Objection.js writes without a transaction, so a failure part-way through leaves partial data. Run them in a transaction and pass `trx` to each query.",
+          column: 61,
+        },
+      ],
+    },
+    {
+      // instance and relation writes, graph writes
+      code: `const f = async (user) => { await user.$query().patch(data); await user.$relatedQuery("pets").relate(1); await Pet.query().upsertGraph(graph); };`,
+      errors: [{ messageId: "multipleWrites", data: { count: 3 } }],
+    },
+    {
+      // a connection that is not a transaction
+      code: `async function f(knex) { await User.query(knex).where("id", 1).delete(); await Log.query(knex).insert(entry); }`,
+      errors: [{ messageId: "multipleWrites" }],
+    },
+    {
+      // writes after the transaction was committed
+      code: `async function f(trx) { await User.query(trx).insert(user); await trx.commit(); await Log.query().insert(entry); await Stats.query().increment("count", 1); }`,
+      errors: [{ messageId: "multipleWrites", data: { count: 2 } }],
+    },
+    {
+      // class methods, counted separately from the nested arrow function
+      code: `class UserService { async create(data) { await User.query().insert(data); await Audit.query().insert({}); queue.push(async () => { await Job.query().insert({}); }); } }`,
+      errors: [{ messageId: "multipleWrites", data: { count: 2 } }],
+    },
+    {
+      // a write in a loop runs any number of times
+      code: `async function f(rows) { for (const row of rows) { await Row.query().insert(row); } }`,
+      errors: [
+        {
+          message:
+            "This function performs Objection.js writes in a loop without a transaction, so a failure part-way through leaves partial data. Run the loop in a transaction and pass `trx` to each query.",
+          column: 58,
+        },
+      ],
+    },
+    {
+      code: `async function f(ids) { let i = 0; while (i < ids.length) { await User.query().deleteById(ids[i++]); } }`,
+      options: [{ maxWrites: 5 }],
+      errors: [{ messageId: "writesInLoop" }],
+    },
+    {
+      // custom query method
+      code: `async function f() { await User.scoped({}).insert(user); await Profile.scoped().insert(profile); }`,
+      options: [{ methods: { scoped: { option: 0, model: true } } }],
+      errors: [{ messageId: "multipleWrites", data: { count: 2 } }],
+    },
+    {
+      code: `async function f() { await A.query().insert(a); await B.query().insert(b); await C.query().insert(c); }`,
+      options: [{ maxWrites: 2 }],
+      errors: [{ messageId: "multipleWrites", data: { count: 3 }, column: 82 }],
+    },
+  ],
+});
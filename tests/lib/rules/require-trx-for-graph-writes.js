@@ -0,0 +1,115 @@
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/require-trx-for-graph-writes.js";
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("require-trx-for-graph-writes", rule, {
+  valid: [
+    `await User.query(trx).insertGraph(graph);`,
+    `await User.query(trx).upsertGraphAndFetch(graph, { relate: true });`,
+    `await user.$relatedQuery("pets", trx).insertGraph(pets);`,
+    `await User.query().upsertGraph(graph).transacting(trx);`,
+    `await User.transaction(async (trx) => { await User.query(trx).insertGraph(graph); });`,
+    // other writes are not graph writes
+    `await User.query().insert(user);`,
+    // not Objection chains
+    `await client.query().insertGraph(graph);`,
+    `await repository.insertGraph(graph);`,
+    // configured names
+    {
+      code: `await User.query(tx).insertGraph(graph);`,
+      options: [{ names: ["tx"] }],
+    },
+    // transaction held on a configured member path
+    {
+      code: `await User.query(ctx.trx).insertGraph(graph);`,
+      options: [{ paths: ["ctx.trx"] }],
+    },
+    // models bound to the transaction
+    `await User.bindKnex(trx).query().insertGraph(graph);`,
+    `const BoundUser = User.bindTransaction(trx); await BoundUser.query().upsertGraph(graph);`,
+    // graphMethods option replaces the checked methods
+    {
+      code: `await User.query().insertGraph(graph);`,
+      options: [{ graphMethods: ["upsertGraph"] }],
+    },
+    // allowed models
+    {
+      code: `await AuditLog.query().insertGraph(entry);`,
+      options: [{ allowedModels: ["AuditLog"] }],
+    },
+    {
+      code: `await AuditLog.bindKnex(knex).query().insertGraph(entry);`,
+      options: [{ allowedModels: ["AuditLog"] }],
+    },
+    {
+      code: `class AuditLog extends Model { static record(entry) { return this.query().insertGraph(entry); } }`,
+      options: [{ allowedModels: ["AuditLog"] }],
+    },
+  ],
+  invalid: [
+    {
+      code: `await User.query().insertGraph(graph);`,
+      errors: [
+        {
+          message:
+            "`.insertGraph()` issues several statements and must run in a transaction, or a failure leaves a partial graph. Pass a transaction to `User.query()` or bind the query with `.transacting()`.",
+          column: 20,
+        },
+      ],
+    },
+    {
+      // reported even when no transaction is in scope
+      code: `async function save(graph) { return Order.query().upsertGraphAndFetch(graph, { relate: true }); }`,
+      errors: [
+        {
+          messageId: "missingTrx",
+          data: { method: "upsertGraphAndFetch", origin: "Order.query" },
+        },
+      ],
+    },
+    {
+      // a connection that is not a transaction
+      code: `await User.query(knex).insertGraphAndFetch(graph);`,
+      errors: [{ messageId: "missingTrx" }],
+    },
+    {
+      code: `await user.$relatedQuery("pets").upsertGraph(pets);`,
+      errors: [
+        {
+          messageId: "missingTrx",
+          data: { method: "upsertGraph", origin: "user.$relatedQuery" },
+        },
+      ],
+    },
+    {
+      code: `await User.query().insertGraph(graph).transacting(knex);`,
+      errors: [{ messageId: "missingTrx" }],
+    },
+    {
+      code: `await user?.$query().upsertGraph(graph);`,
+      errors: [{ messageId: "missingTrx" }],
+    },
+    {
+      // instance queries are not matched by the allowlist
+      code: `await entry.$query().upsertGraph(graph);`,
+      options: [{ allowedModels: ["AuditLog"] }],
+      errors: [{ messageId: "missingTrx" }],
+    },
+    {
+      code: `await User.query().insertGraph(graph); await AuditLog.query().insertGraph(entry);`,
+      options: [{ allowedModels: ["AuditLog"] }],
+      errors: [{ messageId: "missingTrx", column: 20 }],
+    },
+    {
+      code: `await User.query().insert(user);`,
+      options: [{ graphMethods: ["insert"] }],
+      errors: [
+        {
+          messageId: "missingTrx",
+          data: { method: "insert", origin: "User.query" },
+        },
+      ],
+    },
+  ],
+});
@@ -1,10 +1,23 @@
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import tsParser from "@typescript-eslint/parser";
 import { RuleTester } from "eslint";
 import rule from "../../../lib/rules/require-trx-forwarding.js";
 
 const ruleTester = new RuleTester();
 
+const importSettings = {
+  "objection-trx": { modelModules: ["src/models/**", "@app/models"] },
+};
+const filename = "src/services/user-service.js";
+
 ruleTester.run("require-trx-forwarding", rule, {
   valid: [
+    // typeAware without type information falls back to names
+    {
+      code: `async function f(tx) { await saveAudit({}); await User.query(); }`,
+      options: [{ typeAware: true }],
+    },
     // no trx in scope — not flagged
     `function save(knex) { Model.query().findById(1); }`,
     // trx forwarded to .query()
@@ -128,6 +141,190 @@ ruleTester.run("require-trx-forwarding", rule, {
     `async function save(trx) { await trx.commit(); function inner() { Model.query().findById(1); } }`,
     // commit inside if block — query after if not flagged (trx may be finalized)
     `async function save(trx) { if (ok) { await trx.commit(); } await Model.query().findById(1); }`,
+    // rollback on an early-return path — not flagged within that path
+    `async function save(trx) { if (invalid) { await trx.rollback(); await Model.query().insert(log); return; } }`,
+    // rollback in catch — query in the same catch block not flagged
+    `async function save(trx) { try { await work(trx); } catch (e) { await trx.rollback(); await Log.query().insert(e); } }`,
+    // commit in finally — query after the try statement not flagged
+    `async function save(trx) { try { await work(trx); } finally { await trx.commit(); } await Model.query().findById(1); }`,
+    // commit inside a loop — query after the loop not flagged
+    `async function save(trx) { while (pending()) { await trx.commit(); } await Model.query().findById(1); }`,
+    `async function save(trx) { for (const row of rows) { if (row.last) await trx.commit(); } await Model.query().findById(1); }`,
+    // commit in a callback created after the commit — inherited from the enclosing path
+    `async function save(trx) { await trx.commit(); items.forEach((item) => item.$query().patch(data)); }`,
+    // custom names — `tx` is not a transaction identifier by default
+    `function save(tx) { Model.query().findById(1); }`,
+    // custom names — configured identifier correctly forwarded
+    {
+      code: `function save(tx) { Model.query(tx).findById(1); }`,
+      options: [{ names: ["tx"] }],
+    },
+    {
+      code: `async function save(transaction) { await item.$relatedQuery("tags", transaction); }`,
+      options: [{ names: ["tx", "transaction"] }],
+    },
+    // pattern — matching identifier correctly forwarded
+    {
+      code: `async function save(knexTrx) { await item.$fetchGraph(expr, { transaction: knexTrx }); }`,
+      options: [{ pattern: "Trx$" }],
+    },
+    // custom names — `trx` is no longer a transaction identifier when not listed
+    {
+      code: `function save(trx) { Model.query().findById(1); }`,
+      options: [{ names: ["tx"] }],
+    },
+    // custom names — commit/rollback of the configured identifier is tracked
+    {
+      code: `async function save(tx) { await tx.commit(); await Model.query().findById(1); }`,
+      options: [{ names: ["tx"] }],
+    },
+    // paths — member expression forwarded
+    {
+      code: `async function handler(ctx) { await User.query(ctx.trx).findById(1); await item.$fetchGraph(expr, { transaction: ctx.trx }); }`,
+      options: [{ paths: ["ctx.trx"] }],
+    },
+    {
+      code: `async function handler(req) { await user.$relatedQuery("pets", req.context.trx); }`,
+      options: [{ paths: ["req.context.trx"] }],
+    },
+    {
+      code: `async function handler(ctx) { await User.query(ctx?.trx); }`,
+      options: [{ paths: ["ctx.trx"] }],
+    },
+    // paths — the root object is not in scope
+    {
+      code: `async function handler() { await User.query().findById(1); }`,
+      options: [{ paths: ["ctx.trx"] }],
+    },
+    {
+      code: `async function handler() { await User.query().findById(1); const ctx = getContext(); }`,
+      options: [{ paths: ["ctx.trx"] }],
+    },
+    // paths — rooted at this, forwarded in instance members
+    {
+      code: `class UserService { find(id) { return User.query(this.context.trx).findById(id); } }`,
+      options: [{ paths: ["this.context.trx"] }],
+    },
+    // paths — rooted at this, only available in instance members
+    {
+      code: `function find(id) { return User.query().findById(id); } class UserService { static find(id) { return User.query().findById(id); } }`,
+      options: [{ paths: ["this.trx"] }],
+    },
+    // paths — after trx.commit() the path is not used in its place
+    {
+      code: `async function handler(ctx, trx) { await trx.commit(); await User.query().findById(1); }`,
+      options: [{ paths: ["ctx.trx"] }],
+    },
+    // transaction bindings recognized by origin, whatever their name
+    `await Model.transaction(async (t) => { await User.query(t).insert(u); });`,
+    `await dataSource.transaction(async (manager) => { await User.query().insert(u); });`,
+    `await knex.transaction(async function (tx) { await item.$relatedQuery("tags", tx); });`,
+    `const t = await Model.startTransaction(); await User.query(t).insert(u); await t.commit();`,
+    // transaction handlers and unrelated .transaction() methods do not start one
+    `const user = await User.transaction(createUserTx); await Audit.query().insert(log);`,
+    `const tx = await api.transaction(id); await Audit.query().insert(log);`,
+    `const t = await Model.startTransaction(); await t.commit(); await User.query().insert(u);`,
+    // the result of a transaction callback is not a transaction
+    `const result = await knex.transaction(async (t) => { await User.query(t).insert(u); }); await User.query().insert(u);`,
+    // only the first callback parameter is the transaction
+    `await knex.transaction((t, extra) => User.query(t)); function f(other) { return User.query(); }`,
+    // objection's transaction() binding models rather than a transaction
+    `await transaction(Person, async (Person) => { await Person.query().insert(u); });`,
+    // models bound to the transaction
+    `async function save(trx) { await User.bindKnex(trx).query().insert(u); await User.bindTransaction(trx).relatedQuery("pets").for(1); }`,
+    `async function save(trx) { const BoundUser = User.bindKnex(trx); await BoundUser.query().insert(u); await BoundUser.fetchGraph(users, "pets"); }`,
+    `async function save(trx) { const BoundUser = User.bindKnex(trx); await User.query(trx).insert(u); }`,
+    // a model bound in another function's scope is not visible
+    `async function a(trx) { const BoundUser = User.bindKnex(trx); } async function b() { await User.query().insert(u); }`,
+    // after trx.commit() the unbound model is fine
+    `async function save(trx) { const BoundUser = User.bindKnex(trx); await trx.commit(); await User.query().insert(u); }`,
+    // aliases — variables initialized from the transaction
+    `async function save(trx) { const t = trx; await Model.query(t).insert(data); }`,
+    `async function save(trx) { const db = trx ?? knex; await Model.query(db).insert(data); await item.$fetchGraph(expr, { transaction: db }); }`,
+    `async function save(trx) { const db = trx || knex; await item.$relatedQuery("tags", db); }`,
+    `async function save(trx) { await Model.query(trx ?? knex).insert(data); }`,
+    `async function save(ctx, trx) { const { trx: t } = ctx; await Model.query(t).insert(data); }`,
+    `async function save(trx) { const a = trx; const b = a; await Model.query(b).insert(data); }`,
+    `async function save(trx) { let t; t = trx; await Model.query(t).insert(data); }`,
+    // repository classes — transaction field forwarded
+    `class UserRepository { constructor(trx) { this.trx = trx; } find(id) { return User.query(this.trx).findById(id); } }`,
+    `class UserRepository { #trx; constructor(trx) { this.#trx = trx; } find(id) { return User.query(this.#trx).findById(id); } }`,
+    // repository classes — static methods do not see the instance field
+    `class UserRepository { trx = null; static find(id) { return User.query().findById(id); } }`,
+    // repository classes — plain functions rebind \`this\`
+    `class UserRepository { trx = null; find(ids) { return ids.map(function (id) { return User.query().findById(id); }); } }`,
+    // repository classes — constructor overload signatures have no body
+    {
+      code: `class Repo { constructor(a: string); constructor(a: any) {} find() { return User.query(); } }`,
+      languageOptions: { parser: tsParser },
+    },
+    // repository classes — the constructor stores something else
+    `class UserRepository { constructor(knex) { this.knex = knex; } find(id) { return User.query().findById(id); } }`,
+    // paths — unrelated members are not transactions
+    `async function handler(ctx) { await User.query().findById(1); }`,
+    // static relatedQuery with trx
+    `async function f(trx) { await Person.relatedQuery("pets", trx).for(1); }`,
+    // static fetchGraph with transaction option
+    `async function f(trx) { await Person.fetchGraph(people, "pets", { transaction: trx }); }`,
+    // static fetchGraph with an options variable — assumed to contain transaction
+    `async function f(trx) { await Person.fetchGraph(people, "pets", opts); }`,
+    // knexQuery bound with .transacting(trx) — valid, and not a deprecated .transacting()
+    `async function f(trx) { await Person.knexQuery().where("id", 1).transacting(trx); }`,
+    // non-model receivers of the static methods are ignored
+    `async function f(trx) { await loader.fetchGraph(people, "pets"); await api.relatedQuery("pets"); db.knexQuery(); }`,
+    // startTransaction-bound trx forwarded to static APIs
+    `async function f() { const trx = await Person.startTransaction(); await Person.relatedQuery("pets", trx).for(1); await trx.commit(); }`,
+    // built-in method disabled through options
+    {
+      code: `async function f(trx) { await Person.knexQuery().where("id", 1); }`,
+      options: [{ methods: { knexQuery: false } }],
+    },
+    // custom method with trx forwarded
+    {
+      code: `async function f(trx) { await Person.upsertAudit(data, trx); }`,
+      options: [{ methods: { upsertAudit: { argument: 1, model: true } } }],
+    },
+    // imports mode — PascalCase receiver that is not an imported model
+    {
+      code: `import Redis from "ioredis"; function f(trx) { Redis.query("GET"); }`,
+      settings: importSettings,
+      filename,
+    },
+    // imports mode — undeclared PascalCase global is not a model
+    {
+      code: `function f(trx) { GraphQLClient.query(doc); }`,
+      settings: importSettings,
+      filename,
+    },
+    // imports mode — imported model correctly forwarded
+    {
+      code: `import User from "../models/user.js"; function f(trx) { User.query(trx).findById(1); }`,
+      settings: importSettings,
+      filename,
+    },
+    // imports mode — class not extending a base class is not a model
+    {
+      code: `class Cache { static query() {} } function f(trx) { Cache.query(); }`,
+      settings: importSettings,
+      filename,
+    },
+    // imports mode — `this` in a class that does not extend a model
+    {
+      code: `class Client { static run(trx) { return this.query(); } }`,
+      settings: importSettings,
+      filename,
+    },
+    // explicit heuristic mode ignores modelModules
+    {
+      code: `import user from "../models/user.js"; function f(trx) { user.query(); }`,
+      settings: {
+        "objection-trx": {
+          ...importSettings["objection-trx"],
+          modelDetection: "heuristic",
+        },
+      },
+      filename,
+    },
   ],
   invalid: [
     {
@@ -150,6 +347,95 @@ ruleTester.run("require-trx-forwarding", rule, {
       output: `async function f(trx) { await item.$fetchGraph(expr, { transaction: trx }); }`,
       errors: [{ messageId: "missingTrxFetchGraph" }],
     },
+    {
+      // .transacting() moved into a multi-line chain, keeping the rest
+      code: `async function f(trx) {\n  await Model.query()\n    .where("id", 1)\n    .transacting(trx)\n    .first();\n}`,
+      output: `async function f(trx) {\n  await Model.query(trx)\n    .where("id", 1)\n    .first();\n}`,
+      errors: [
+        { messageId: "preferTransactionOption" },
+        { messageId: "missingTrxQuery" },
+      ],
+    },
+    {
+      // .transacting() moved into the second argument of $relatedQuery()
+      code: `async function f(trx) { await item.$relatedQuery("tags").transacting(trx); }`,
+      output: `async function f(trx) { await item.$relatedQuery("tags", trx); }`,
+      errors: [
+        { messageId: "preferTransactionOption" },
+        { messageId: "missingTrxRelatedQuery" },
+      ],
+    },
+    {
+      // .transacting() moved into an existing $fetchGraph() options object
+      code: `async function f(trx) { await item.$fetchGraph(expr, { skipFetched: true }).transacting(trx); }`,
+      output: `async function f(trx) { await item.$fetchGraph(expr, { transaction: trx, skipFetched: true }); }`,
+      errors: [
+        { messageId: "preferTransactionOption" },
+        { messageId: "missingTrxFetchGraph" },
+      ],
+    },
+    {
+      // the originating slot holds another connection — suggestion only
+      code: `async function f(trx) { await Model.query(knex).transacting(trx); }`,
+      errors: [
+        {
+          messageId: "preferTransactionOption",
+          suggestions: [
+            {
+              messageId: "moveTransacting",
+              data: { existing: "knex", argument: "trx", method: "query" },
+              output: `async function f(trx) { await Model.query(trx); }`,
+            },
+          ],
+        },
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              output: `async function f(trx) { await Model.query(trx).transacting(trx); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // the transaction option holds another value — suggestion only
+      code: `async function f(trx) { await item.$fetchGraph(expr, { transaction: other }).transacting(trx); }`,
+      errors: [
+        {
+          messageId: "preferTransactionOption",
+          suggestions: [
+            {
+              messageId: "moveTransacting",
+              output: `async function f(trx) { await item.$fetchGraph(expr, { transaction: trx }); }`,
+            },
+          ],
+        },
+        {
+          messageId: "missingTrxFetchGraph",
+          suggestions: [
+            {
+              messageId: "replaceTransactionOption",
+              output: `async function f(trx) { await item.$fetchGraph(expr, { transaction: trx }).transacting(trx); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // earlier arguments missing — no fix
+      code: `async function f(trx) { await item.$relatedQuery().transacting(trx); }`,
+      errors: [
+        { messageId: "preferTransactionOption" },
+        { messageId: "missingTrxRelatedQuery" },
+      ],
+    },
+    {
+      // non-literal options — no fix
+      code: `async function f(trx) { await item.$fetchGraph(expr, opts).transacting(trx); }`,
+      errors: [{ messageId: "preferTransactionOption" }],
+    },
     {
       // trx in destructured param
       code: `async function f({ trx }) { Model.query().findById(1); }`,
@@ -162,10 +448,36 @@ ruleTester.run("require-trx-forwarding", rule, {
       output: `async function f(trx = null) { Model.query(trx).findById(1); }`,
       errors: [{ messageId: "missingTrxQuery" }],
     },
+    {
+      // shorthand transaction option with the wrong value
+      code: `async function f(trx, transaction) { await item.$fetchGraph(expr, { transaction }); }`,
+      errors: [
+        {
+          messageId: "missingTrxFetchGraph",
+          suggestions: [
+            {
+              messageId: "replaceTransactionOption",
+              output: `async function f(trx, transaction) { await item.$fetchGraph(expr, { transaction: trx }); }`,
+            },
+          ],
+        },
+      ],
+    },
     {
       // $fetchGraph with transaction pointing to a different variable (not trx) — no auto-fix for replacement
       code: `async function f(trx) { await item.$fetchGraph(expr, { transaction: otherTx }); }`,
-      errors: [{ messageId: "missingTrxFetchGraph" }],
+      errors: [
+        {
+          messageId: "missingTrxFetchGraph",
+          suggestions: [
+            {
+              messageId: "replaceTransactionOption",
+              data: { name: "trx" },
+              output: `async function f(trx) { await item.$fetchGraph(expr, { transaction: trx }); }`,
+            },
+          ],
+        },
+      ],
     },
     {
       // .query() inside a nested callback — trx available from outer scope
@@ -194,18 +506,255 @@ ruleTester.run("require-trx-forwarding", rule, {
     {
       // .query() called with a different variable — trx not forwarded (no auto-fix for replacement)
       code: `function save(knex, trx) { Model.query(otherTx).findById(1); }`,
-      errors: [{ messageId: "missingTrxQuery" }],
+      errors: [
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "otherTx", name: "trx" },
+              output: `function save(knex, trx) { Model.query(trx).findById(1); }`,
+            },
+          ],
+        },
+      ],
     },
     {
       // .$relatedQuery() called with a different variable as 2nd arg (no auto-fix for replacement)
       code: `async function f(trx) { await item.$relatedQuery("tags", otherTx); }`,
-      errors: [{ messageId: "missingTrxRelatedQuery" }],
+      errors: [
+        {
+          messageId: "missingTrxRelatedQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "otherTx", name: "trx" },
+              output: `async function f(trx) { await item.$relatedQuery("tags", trx); }`,
+            },
+          ],
+        },
+      ],
     },
     {
       // .query() called with knex instead of trx (no auto-fix for replacement)
       code: `function save(knex, trx) { Model.query(knex).findById(1); }`,
+      errors: [
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "knex", name: "trx" },
+              output: `function save(knex, trx) { Model.query(trx).findById(1); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // Model.transaction() callback parameter, whatever its name
+      code: `await Model.transaction(async (t) => { await User.query().insert(u); });`,
+      output: `await Model.transaction(async (t) => { await User.query(t).insert(u); });`,
+      errors: [{ messageId: "missingTrxQuery", data: { name: "t" } }],
+    },
+    {
+      // the transaction is shadowed at the query: reported without a fix
+      code: `await Model.transaction(async (t) => rows.map((t) => User.query().insert(t)));`,
+      errors: [{ messageId: "missingTrxQuery", data: { name: "t" } }],
+    },
+    {
+      code: `await Model.transaction(async (t) => rows.map((t) => User.query(knex).insert(t)));`,
+      errors: [{ messageId: "missingTrxQuery", data: { name: "t" } }],
+    },
+    {
+      // another library's transaction() callback does not hold a transaction
+      code: `async function save(trx) { await dataSource.transaction(async (manager) => { await User.query().insert(u); }); }`,
+      output: `async function save(trx) { await dataSource.transaction(async (manager) => { await User.query(trx).insert(u); }); }`,
+      errors: [{ messageId: "missingTrxQuery", data: { name: "trx" } }],
+    },
+    {
+      // knex.transaction() and objection's transaction() callbacks
+      code: `await knex.transaction(async function (tx) { await item.$query().patch(p); }); await transaction(User.knex(), async (t) => { await item.$fetchGraph(expr); });`,
+      output: `await knex.transaction(async function (tx) { await item.$query(tx).patch(p); }); await transaction(User.knex(), async (t) => { await item.$fetchGraph(expr, { transaction: t }); });`,
+      errors: [
+        { messageId: "missingTrxInstanceQuery", data: { name: "tx" } },
+        { messageId: "missingTrxFetchGraph", data: { name: "t" } },
+      ],
+    },
+    {
+      // started transactions
+      code: `const t = await Model.startTransaction(); await User.query().insert(u); await t.commit(); async function f() { const tx = await knex.transaction(); await Pet.query().delete(); }`,
+      output: `const t = await Model.startTransaction(); await User.query(t).insert(u); await t.commit(); async function f() { const tx = await knex.transaction(); await Pet.query(tx).delete(); }`,
+      errors: [
+        { messageId: "missingTrxQuery", data: { name: "t" } },
+        { messageId: "missingTrxQuery", data: { name: "tx" } },
+      ],
+    },
+    {
+      // started transactions — knex config object
+      code: `const t = await knex.transaction({ isolationLevel: "serializable" }); await User.query().insert(u); async function f() { const tx = await knex.transaction(null, { readOnly: true }); await Pet.query().delete(); }`,
+      output: `const t = await knex.transaction({ isolationLevel: "serializable" }); await User.query(t).insert(u); async function f() { const tx = await knex.transaction(null, { readOnly: true }); await Pet.query(tx).delete(); }`,
+      errors: [
+        { messageId: "missingTrxQuery", data: { name: "t" } },
+        { messageId: "missingTrxQuery", data: { name: "tx" } },
+      ],
+    },
+    {
+      // the result of a transaction handler is not a transaction
+      code: `async function save(trx) { const user = await User.transaction(createUserTx); await Audit.query(user).insert(log); }`,
+      errors: [
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "user", name: "trx" },
+              output: `async function save(trx) { const user = await User.transaction(createUserTx); await Audit.query(trx).insert(log); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // nor is the result of an unrelated .transaction() method
+      code: `async function save(trx) { const tx = await api.transaction(id); await Audit.query(tx).insert(log); }`,
+      errors: [
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "tx", name: "trx" },
+              output: `async function save(trx) { const tx = await api.transaction(id); await Audit.query(trx).insert(log); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // the callback parameter is forwarded under its own name
+      code: `async function save(knex) { await Model.transaction(async (t) => { await User.query(knex).insert(u); }); }`,
+      errors: [
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "knex", name: "t" },
+              output: `async function save(knex) { await Model.transaction(async (t) => { await User.query(t).insert(u); }); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // unbound usage of a model bound to the transaction
+      code: `async function save(trx) { const BoundUser = User.bindKnex(trx); await BoundUser.query().insert(u); await User.query().patch(p); }`,
+      output: `async function save(trx) { const BoundUser = User.bindKnex(trx); await BoundUser.query().insert(u); await BoundUser.query().patch(p); }`,
+      errors: [
+        {
+          message:
+            "`User.query()` runs outside the transaction while `BoundUser` is `User` bound to `trx`. Use `BoundUser.query()`.",
+        },
+      ],
+    },
+    {
+      code: `async function save(trx) { const U = User.bindTransaction(trx); await User.relatedQuery("pets").for(1); await Pet.query(); }`,
+      output: `async function save(trx) { const U = User.bindTransaction(trx); await U.relatedQuery("pets").for(1); await Pet.query(trx); }`,
+      errors: [
+        {
+          messageId: "unboundModel",
+          data: {
+            model: "User",
+            method: "relatedQuery",
+            alias: "U",
+            name: "trx",
+          },
+        },
+        { messageId: "missingTrxQuery" },
+      ],
+    },
+    {
+      // an explicit connection is replaced, not moved onto the bound alias
+      code: `async function save(trx) { const BoundUser = User.bindKnex(trx); await User.query(knex).insert(u); }`,
+      errors: [
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "knex", name: "trx" },
+              output: `async function save(trx) { const BoundUser = User.bindKnex(trx); await User.query(trx).insert(u); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // bound to a connection that is not a transaction
+      code: `async function save(trx) { const BoundUser = User.bindKnex(knex); await BoundUser.query().insert(u); }`,
+      output: `async function save(trx) { const BoundUser = User.bindKnex(knex); await BoundUser.query(trx).insert(u); }`,
       errors: [{ messageId: "missingTrxQuery" }],
     },
+    {
+      // aliases — a variable also assigned something else is not an alias
+      code: `async function save(trx) { let db = trx; if (readOnly) db = knex; await Model.query(db).insert(data); }`,
+      errors: [
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "db", name: "trx" },
+              output: `async function save(trx) { let db = trx; if (readOnly) db = knex; await Model.query(trx).insert(data); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // aliases — cyclic assignments terminate
+      code: `async function save(trx) { let a = b; let b = a; await Model.query(a).insert(data); }`,
+      errors: [
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "a", name: "trx" },
+              output: `async function save(trx) { let a = b; let b = a; await Model.query(trx).insert(data); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // allowFallbacks: false — `trx ?? knex` may be the knex instance
+      code: `async function save(trx) { const db = trx ?? knex; await Model.query(db).insert(data); await Model.query(trx || knex).insert(data); }`,
+      options: [{ allowFallbacks: false }],
+      errors: [
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "db", name: "trx" },
+              output: `async function save(trx) { const db = trx ?? knex; await Model.query(trx).insert(data); await Model.query(trx || knex).insert(data); }`,
+            },
+          ],
+        },
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "trx || knex", name: "trx" },
+              output: `async function save(trx) { const db = trx ?? knex; await Model.query(db).insert(data); await Model.query(trx).insert(data); }`,
+            },
+          ],
+        },
+      ],
+    },
     {
       // nested functions both declaring trx, but inner call does NOT forward it
       code: `function save(trx) { Model.transaction(trx, async (trx) => { Model.query().findById(1); }); }`,
@@ -239,7 +788,18 @@ ruleTester.run("require-trx-forwarding", rule, {
     {
       // .$query() with wrong variable (no auto-fix for replacement)
       code: `async function f(trx) { await item.$query(otherTx).patch(data); }`,
-      errors: [{ messageId: "missingTrxInstanceQuery" }],
+      errors: [
+        {
+          messageId: "missingTrxInstanceQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "otherTx", name: "trx" },
+              output: `async function f(trx) { await item.$query(trx).patch(data); }`,
+            },
+          ],
+        },
+      ],
     },
     {
       // .$query() inside nested callback — trx available from outer scope
@@ -260,14 +820,15 @@ ruleTester.run("require-trx-forwarding", rule, {
       errors: [{ messageId: "missingTrxInstanceQuery" }],
     },
     {
-      // .transacting() used when trx is in scope — no auto-fix
+      // redundant .transacting() — removed
       code: `async function f(trx) { await Model.query(trx).where("id", 1).transacting(trx); }`,
+      output: `async function f(trx) { await Model.query(trx).where("id", 1); }`,
       errors: [{ messageId: "preferTransactionOption" }],
     },
     {
-      // .transacting() in nested callback — $query gets fixed, transacting has no fix
+      // .transacting() in nested callback — moved into $query()
       code: `async function save(trx) { items.map((item) => item.$query().transacting(trx)); }`,
-      output: `async function save(trx) { items.map((item) => item.$query(trx).transacting(trx)); }`,
+      output: `async function save(trx) { items.map((item) => item.$query(trx)); }`,
       errors: [
         { messageId: "preferTransactionOption" },
         { messageId: "missingTrxInstanceQuery" },
@@ -300,17 +861,29 @@ ruleTester.run("require-trx-forwarding", rule, {
     {
       // .bindKnex().query() with wrong variable — trx not forwarded (no auto-fix for replacement)
       code: `async function save(knex, trx) { await Model.bindKnex(knex).query(knex).findById(1); }`,
-      errors: [{ messageId: "missingTrxQuery" }],
+      errors: [
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "knex", name: "trx" },
+              output: `async function save(knex, trx) { await Model.bindKnex(knex).query(trx).findById(1); }`,
+            },
+          ],
+        },
+      ],
     },
     {
-      // .transacting() on Model.bindKnex(knex).query() — no auto-fix
+      // .transacting() on Model.bindKnex(knex).query() — removed
       code: `async function f(trx) { await Model.bindKnex(knex).query(trx).where("id", 1).transacting(trx); }`,
+      output: `async function f(trx) { await Model.bindKnex(knex).query(trx).where("id", 1); }`,
       errors: [{ messageId: "preferTransactionOption" }],
     },
     {
-      // .transacting() on .$fetchGraph() chain — fetchGraph gets fixed, transacting has no fix
+      // .transacting() on .$fetchGraph() chain — moved into the options
       code: `async function f(trx) { await item.$fetchGraph(expr).transacting(trx); }`,
-      output: `async function f(trx) { await item.$fetchGraph(expr, { transaction: trx }).transacting(trx); }`,
+      output: `async function f(trx) { await item.$fetchGraph(expr, { transaction: trx }); }`,
       errors: [
         { messageId: "preferTransactionOption" },
         { messageId: "missingTrxFetchGraph" },
@@ -439,5 +1012,511 @@ ruleTester.run("require-trx-forwarding", rule, {
       output: `async function save(trx) { await item.$query(trx).patch(data); await trx.rollback(); }`,
       errors: [{ messageId: "missingTrxInstanceQuery" }],
     },
+    {
+      // custom names — fixer inserts the configured identifier
+      code: `function save(tx) { Model.query().findById(1); }`,
+      output: `function save(tx) { Model.query(tx).findById(1); }`,
+      options: [{ names: ["tx"] }],
+      errors: [
+        {
+          message:
+            "`.query()` called without `tx` inside a function that has `tx` available. Pass `tx` as the first argument.",
+        },
+      ],
+    },
+    {
+      // custom names — $relatedQuery fixer inserts the configured identifier
+      code: `async function f(transaction) { await item.$relatedQuery("tags"); }`,
+      output: `async function f(transaction) { await item.$relatedQuery("tags", transaction); }`,
+      options: [{ names: ["tx", "transaction"] }],
+      errors: [{ messageId: "missingTrxRelatedQuery" }],
+    },
+    {
+      // pattern — $fetchGraph fixer inserts the matching identifier
+      code: `async function f(knexTrx) { await item.$fetchGraph(expr, { allowRefs: true }); }`,
+      output: `async function f(knexTrx) { await item.$fetchGraph(expr, { transaction: knexTrx, allowRefs: true }); }`,
+      options: [{ pattern: "Trx$" }],
+      errors: [{ messageId: "missingTrxFetchGraph" }],
+    },
+    {
+      // pattern — $query fixer inserts the identifier in scope, not `trx`
+      code: `async function f(knexTrx) { await item.$query().patch(data); }`,
+      output: `async function f(knexTrx) { await item.$query(knexTrx).patch(data); }`,
+      options: [{ pattern: "Trx$" }],
+      errors: [{ messageId: "missingTrxInstanceQuery" }],
+    },
+    {
+      // names and pattern combined — innermost binding wins
+      code: `function outer(trx) { return (tx) => Model.query().findById(1); }`,
+      output: `function outer(trx) { return (tx) => Model.query(tx).findById(1); }`,
+      options: [{ names: ["trx"], pattern: "^tx$" }],
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // custom names — .transacting() reported with the configured identifier
+      code: `async function f(tx) { await Model.query(tx).transacting(tx); }`,
+      output: `async function f(tx) { await Model.query(tx); }`,
+      options: [{ names: ["tx"] }],
+      errors: [{ messageId: "preferTransactionOption" }],
+    },
+    {
+      // a new transaction assigned after the commit is available again
+      code: `async function run() { let trx = await knex.transaction(); await trx.commit(); trx = await knex.transaction(); await User.query().insert(u); }`,
+      output: `async function run() { let trx = await knex.transaction(); await trx.commit(); trx = await knex.transaction(); await User.query(trx).insert(u); }`,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // paths — fixer inserts the member expression
+      code: `async function handler(ctx) { await User.query().findById(1); }`,
+      output: `async function handler(ctx) { await User.query(ctx.trx).findById(1); }`,
+      options: [{ paths: ["ctx.trx"] }],
+      errors: [
+        {
+          message:
+            "`.query()` called without `ctx.trx` inside a function that has `ctx.trx` available. Pass `ctx.trx` as the first argument.",
+        },
+      ],
+    },
+    {
+      // paths — the root object shadows another one: reported without a fix
+      code: `async function handler(ctx) { await Promise.all(items.map((ctx) => User.query().insert(ctx))); }`,
+      options: [{ paths: ["ctx.trx"] }],
+      errors: [{ messageId: "missingTrxQuery", data: { name: "ctx.trx" } }],
+    },
+    {
+      code: `const handler = async ({ params }, res, next) => { await item.$fetchGraph(expr); }; function route(req) { return item.$query().patch(req.body); }`,
+      output: `const handler = async ({ params }, res, next) => { await item.$fetchGraph(expr); }; function route(req) { return item.$query(req.trx).patch(req.body); }`,
+      options: [{ paths: ["ctx.trx", "req.trx"] }],
+      errors: [{ messageId: "missingTrxInstanceQuery" }],
+    },
+    {
+      // repository classes — constructor-injected transaction
+      code: `class UserRepository { constructor(trx) { this.trx = trx; } async create(data) { await User.query().insert(data); } }`,
+      output: `class UserRepository { constructor(trx) { this.trx = trx; } async create(data) { await User.query(this.trx).insert(data); } }`,
+      errors: [
+        {
+          message:
+            "`.query()` called without `this.trx` inside a function that has `this.trx` available. Pass `this.trx` as the first argument.",
+        },
+      ],
+    },
+    {
+      // repository classes — field declarations, private fields, arrow function members
+      code: `class PetRepository { #trx = null; list = () => Pet.query(); async adopt(owner, pet) { await owner.$relatedQuery("pets").relate(pet); } }`,
+      output: `class PetRepository { #trx = null; list = () => Pet.query(this.#trx); async adopt(owner, pet) { await owner.$relatedQuery("pets", this.#trx).relate(pet); } }`,
+      errors: [
+        { messageId: "missingTrxQuery", data: { name: "this.#trx" } },
+        { messageId: "missingTrxRelatedQuery" },
+      ],
+    },
+    {
+      // repository classes — field assigned under another name, configured names
+      code: `class UserRepository { constructor(tx) { this.db = tx; } remove(id) { return User.query().deleteById(id); } }`,
+      output: `class UserRepository { constructor(tx) { this.db = tx; } remove(id) { return User.query(this.db).deleteById(id); } }`,
+      options: [{ names: ["tx"] }],
+      errors: [{ messageId: "missingTrxQuery", data: { name: "this.db" } }],
+    },
+    {
+      // repository classes — a transaction variable in scope wins
+      code: `class UserRepository { trx; async run(trx) { await User.query().insert({}); } }`,
+      output: `class UserRepository { trx; async run(trx) { await User.query(trx).insert({}); } }`,
+      errors: [{ messageId: "missingTrxQuery", data: { name: "trx" } }],
+    },
+    {
+      // paths — rooted at this, fixer inserts the member expression
+      code: `class UserService { list = () => User.query(); async find(id) { return User.query().findById(id); } }`,
+      output: `class UserService { list = () => User.query(this.trx); async find(id) { return User.query(this.trx).findById(id); } }`,
+      options: [{ paths: ["this.trx"] }],
+      errors: [
+        { messageId: "missingTrxQuery", data: { name: "this.trx" } },
+        { messageId: "missingTrxQuery", data: { name: "this.trx" } },
+      ],
+    },
+    {
+      // paths — rooted at this, not a transaction outside instance members
+      code: `async function save(trx) { await User.query(this.trx).insert({}); }`,
+      options: [{ paths: ["this.trx"] }],
+      errors: [
+        {
+          messageId: "missingTrxQuery",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "this.trx", name: "trx" },
+              output: `async function save(trx) { await User.query(trx).insert({}); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // paths — a transaction variable in scope wins
+      code: `async function handler(ctx, trx) { await User.query().findById(1); }`,
+      output: `async function handler(ctx, trx) { await User.query(trx).findById(1); }`,
+      options: [{ names: ["trx"], paths: ["ctx.trx"] }],
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // imports mode — model imported under a lowercase alias
+      code: `import userModel from "../models/user.js"; function f(trx) { userModel.query().findById(1); }`,
+      output: `import userModel from "../models/user.js"; function f(trx) { userModel.query(trx).findById(1); }`,
+      settings: importSettings,
+      filename,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // imports mode — named import from a bare model module
+      code: `import { User as u } from "@app/models"; function f(trx) { u.query(); }`,
+      output: `import { User as u } from "@app/models"; function f(trx) { u.query(trx); }`,
+      settings: importSettings,
+      filename,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // imports mode — destructured require of a model module
+      code: `const { User } = require("../models/index.js"); function f(trx) { User.query(); }`,
+      output: `const { User } = require("../models/index.js"); function f(trx) { User.query(trx); }`,
+      settings: importSettings,
+      filename,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // imports mode — class extending Model declared in the file
+      code: `class Pet extends Model {} function f(trx) { Pet.query(); }`,
+      output: `class Pet extends Model {} function f(trx) { Pet.query(trx); }`,
+      settings: importSettings,
+      filename,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // imports mode — class extending a configured base class, via another model
+      code: `const Pet = class extends BaseModel {}; class Dog extends Pet {} function f(trx) { Dog.query(); }`,
+      output: `const Pet = class extends BaseModel {}; class Dog extends Pet {} function f(trx) { Dog.query(trx); }`,
+      settings: {
+        "objection-trx": {
+          modelDetection: "imports",
+          baseClasses: ["BaseModel"],
+        },
+      },
+      filename,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // imports mode — `this` in a static method of a model class
+      code: `class Pet extends objection.Model { static save(trx) { return this.query(); } }`,
+      output: `class Pet extends objection.Model { static save(trx) { return this.query(trx); } }`,
+      settings: importSettings,
+      filename,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // imports mode — .transacting() on an imported model chain
+      code: `import account from "../models/account.js"; async function f(trx) { await account.query().transacting(trx); }`,
+      output: `import account from "../models/account.js"; async function f(trx) { await account.query(trx); }`,
+      settings: importSettings,
+      filename,
+      errors: [
+        { messageId: "preferTransactionOption" },
+        { messageId: "missingTrxQuery" },
+      ],
+    },
+    {
+      // static relatedQuery without trx
+      code: `async function f(trx) { await Person.relatedQuery("pets").for(1); }`,
+      output: `async function f(trx) { await Person.relatedQuery("pets", trx).for(1); }`,
+      errors: [
+        {
+          message:
+            "`.relatedQuery()` called without `trx` inside a function that has `trx` available. Pass `trx` as the second argument.",
+        },
+      ],
+    },
+    {
+      // static relatedQuery with a different variable (no auto-fix for replacement)
+      code: `async function f(trx) { await Person.relatedQuery("pets", knex).for(1); }`,
+      errors: [
+        {
+          messageId: "missingTrxArgument",
+          suggestions: [
+            {
+              messageId: "replaceArgument",
+              data: { argument: "knex", name: "trx" },
+              output: `async function f(trx) { await Person.relatedQuery("pets", trx).for(1); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // static fetchGraph without options
+      code: `async function f(trx) { await Person.fetchGraph(people, "pets"); }`,
+      output: `async function f(trx) { await Person.fetchGraph(people, "pets", { transaction: trx }); }`,
+      errors: [
+        {
+          message:
+            "`.fetchGraph()` called without `{ transaction: trx }` inside a function that has `trx` available. Pass `{ transaction: trx }` as the third argument.",
+        },
+      ],
+    },
+    {
+      // static fetchGraph with options lacking a transaction
+      code: `async function f(trx) { await Person.fetchGraph(people, "pets", { skipFetched: true }); }`,
+      output: `async function f(trx) { await Person.fetchGraph(people, "pets", { transaction: trx, skipFetched: true }); }`,
+      errors: [{ messageId: "missingTrxOption" }],
+    },
+    {
+      // static fetchGraph without the expression — no auto-fix
+      code: `async function f(trx) { await Person.fetchGraph(people); }`,
+      errors: [{ messageId: "missingTrxOption" }],
+    },
+    {
+      // knexQuery without .transacting()
+      code: `async function f(trx) { await Person.knexQuery().where("id", 1); }`,
+      output: `async function f(trx) { await Person.knexQuery().transacting(trx).where("id", 1); }`,
+      errors: [
+        {
+          message:
+            "`.knexQuery()` returns a Knex query builder that is not bound to `trx`. Chain `.transacting(trx)` onto it.",
+        },
+      ],
+    },
+    {
+      // knexQuery bound to another connection (no auto-fix for replacement)
+      code: `async function f(trx) { await Person.knexQuery().transacting(other); }`,
+      errors: [{ messageId: "missingTrxTransacting" }],
+    },
+    {
+      // startTransaction-bound trx not forwarded to static APIs
+      code: `async function f() { const trx = await Person.startTransaction(); await Person.relatedQuery("pets").for(1); await trx.commit(); }`,
+      output: `async function f() { const trx = await Person.startTransaction(); await Person.relatedQuery("pets", trx).for(1); await trx.commit(); }`,
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+    {
+      // .transacting() on a static relatedQuery chain
+      code: `async function f(trx) { await Person.relatedQuery("pets", trx).for(1).transacting(trx); }`,
+      output: `async function f(trx) { await Person.relatedQuery("pets", trx).for(1); }`,
+      errors: [{ messageId: "preferTransactionOption" }],
+    },
+    {
+      // custom method added through options
+      code: `async function f(trx) { await Person.upsertAudit(data); }`,
+      output: `async function f(trx) { await Person.upsertAudit(data, trx); }`,
+      options: [{ methods: { upsertAudit: { argument: 1, model: true } } }],
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+    {
+      // custom option-style method on any receiver
+      code: `async function f(trx) { await loader.loadGraph(expr); }`,
+      output: `async function f(trx) { await loader.loadGraph(expr, { transaction: trx }); }`,
+      options: [{ methods: { loadGraph: { option: 1 } } }],
+      errors: [{ messageId: "missingTrxOption" }],
+    },
+    {
+      // rollback in the if branch — query in the else branch is still flagged
+      code: `async function save(trx) { if (invalid) { await trx.rollback(); } else { await Model.query().insert(data); } }`,
+      output: `async function save(trx) { if (invalid) { await trx.rollback(); } else { await Model.query(trx).insert(data); } }`,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // rollback on an early-return path — the happy path is still flagged
+      code: `async function save(trx) { if (invalid) { await trx.rollback(); return; } await Model.query().insert(data); }`,
+      output: `async function save(trx) { if (invalid) { await trx.rollback(); return; } await Model.query(trx).insert(data); }`,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // rollback in catch — queries in the try block are still flagged
+      code: `async function save(trx) { try { await Model.query().insert(data); await trx.commit(); } catch (e) { await trx.rollback(); } }`,
+      output: `async function save(trx) { try { await Model.query(trx).insert(data); await trx.commit(); } catch (e) { await trx.rollback(); } }`,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // commit in a callback does not finalize the enclosing function
+      code: `async function save(trx) { const done = () => trx.commit(); await Model.query().insert(data); await done(); }`,
+      output: `async function save(trx) { const done = () => trx.commit(); await Model.query(trx).insert(data); await done(); }`,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // commit of a shadowed inner transaction does not finalize the outer one
+      code: `async function save(trx) { await knex.transaction(async (trx) => { await trx.commit(); }); await Model.query().insert(data); }`,
+      output: `async function save(trx) { await knex.transaction(async (trx) => { await trx.commit(); }); await Model.query(trx).insert(data); }`,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // query inside a loop before the commit
+      code: `async function save(trx) { for (const row of rows) { await Model.query().insert(row); } await trx.commit(); }`,
+      output: `async function save(trx) { for (const row of rows) { await Model.query(trx).insert(row); } await trx.commit(); }`,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+  ],
+});
+
+// Type-aware mode, against the stand-in `knex` / `objection` declarations
+// in tests/fixtures/typescript.
+const fixtures = fileURLToPath(
+  new URL("../../fixtures/typescript", import.meta.url),
+);
+const typedRuleTester = new RuleTester({
+  languageOptions: {
+    parser: tsParser,
+    parserOptions: { project: "./tsconfig.json", tsconfigRootDir: fixtures },
+  },
+});
+const typed = {
+  filename: path.join(fixtures, "file.ts"),
+  options: [{ typeAware: true }],
+};
+const header = `import type { Knex } from "knex"; import type { Transaction, TransactionOrKnex } from "objection"; import { saveAudit, lockRows, log } from "./helpers.js"; import { User, GraphQLClient } from "./models.js";\n`;
+
+typedRuleTester.run("require-trx-forwarding (type-aware)", rule, {
+  valid: [
+    // typed transaction forwarded under any name
+    {
+      ...typed,
+      code: `${header}async function f(tx: Knex.Transaction) { await User.query(tx); await saveAudit({}, tx); }`,
+    },
+    // forwarding a transaction-typed expression
+    {
+      ...typed,
+      code: `${header}async function f(tx: Transaction, ctx: { db: Transaction }) { await User.query(ctx.db); }`,
+    },
+    // no transaction in scope
+    {
+      ...typed,
+      code: `${header}async function f(db: object) { await User.query(); await saveAudit({}); }`,
+    },
+    // helper without a transaction parameter
+    {
+      ...typed,
+      code: `${header}async function f(tx: Transaction) { log("saved"); }`,
+    },
+    // any value passed in the transaction slot is left alone
+    {
+      ...typed,
+      code: `${header}async function f(tx: Transaction, db: TransactionOrKnex) { await lockRows(db); }`,
+    },
+    // type-only imports are not transactions in scope
+    { ...typed, code: `${header}async function f() { await User.query(); }` },
+    // library APIs accepting a transaction are not helpers
+    {
+      ...typed,
+      code: `${header}import { Model } from "objection"; async function f(tx: Transaction) { const other = await Model.startTransaction(); }`,
+    },
+    // helper called after the typed transaction was committed
+    {
+      ...typed,
+      code: `${header}async function f(tx: Transaction) { await tx.commit(); await saveAudit({}); }`,
+    },
+    // PascalCase receivers that are not Model classes
+    {
+      ...typed,
+      code: `${header}async function f(trx: Transaction) { await GraphQLClient.query("{ users }"); }`,
+    },
+    {
+      ...typed,
+      code: `${header}class Client { static query(doc: string) {} static async run(trx: Transaction) { await this.query("{ users }"); } }`,
+    },
+    // objection-like classes from other packages
+    {
+      ...typed,
+      code: `${header}class Model { static query(trx?: unknown) {} } class Post extends Model {} async function f(trx: Transaction) { await Post.query(); }`,
+    },
+    // repository classes — typed parameter property forwarded
+    {
+      ...typed,
+      code: `${header}class UserRepository { constructor(private readonly db: Knex.Transaction) {} find(id: number) { return User.query(this.db).findById(id); } }`,
+    },
+    // without typeAware, only names count
+    {
+      ...typed,
+      options: [],
+      code: `${header}async function f(tx: Transaction) { await User.query(); await saveAudit({}); }`,
+    },
+  ],
+  invalid: [
+    {
+      ...typed,
+      code: `${header}async function f(tx: Knex.Transaction) { await User.query().insert({}); }`,
+      output: `${header}async function f(tx: Knex.Transaction) { await User.query(tx).insert({}); }`,
+      errors: [{ messageId: "missingTrxQuery", data: { name: "tx" } }],
+    },
+    {
+      // repository classes — typed parameter property
+      ...typed,
+      code: `${header}class UserRepository { constructor(private readonly db: Knex.Transaction) {} find(id: number) { return User.query().findById(id); } }`,
+      output: `${header}class UserRepository { constructor(private readonly db: Knex.Transaction) {} find(id: number) { return User.query(this.db).findById(id); } }`,
+      errors: [{ messageId: "missingTrxQuery", data: { name: "this.db" } }],
+    },
+    {
+      // repository classes — typed field declaration
+      ...typed,
+      code: `${header}class UserRepository { private tx?: Transaction; async save() { await saveAudit({}); } }`,
+      output: `${header}class UserRepository { private tx?: Transaction; async save() { await saveAudit({}, this.tx); } }`,
+      errors: [
+        {
+          messageId: "missingTrxHelperArgument",
+          data: { callee: "saveAudit", name: "this.tx", ordinal: "second" },
+        },
+      ],
+    },
+    {
+      // optional objection `Transaction` parameter
+      ...typed,
+      code: `${header}const f = async (t?: Transaction) => { await saveAudit({}); };`,
+      output: `${header}const f = async (t?: Transaction) => { await saveAudit({}, t); };`,
+      errors: [
+        {
+          message:
+            "`saveAudit()` takes a transaction as its second argument but is called without `t`. Pass `t` as the second argument.",
+        },
+      ],
+    },
+    {
+      // `TransactionOrKnex` helper parameter
+      ...typed,
+      code: `${header}async function f(trx: Transaction) { await lockRows(); }`,
+      output: `${header}async function f(trx: Transaction) { await lockRows(trx); }`,
+      errors: [{ messageId: "missingTrxHelperArgument" }],
+    },
+    {
+      // earlier arguments missing — reported without a fix
+      ...typed,
+      code: `${header}async function f(tx: Transaction) { await saveAudit(); }`,
+      errors: [{ messageId: "missingTrxHelperArgument" }],
+    },
+    {
+      // lowercase alias of a Model class
+      ...typed,
+      code: `${header}const users = User; async function f(trx: Transaction) { await users.query(); }`,
+      output: `${header}const users = User; async function f(trx: Transaction) { await users.query(trx); }`,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // bound Model class
+      ...typed,
+      code: `${header}async function f(trx: Transaction, db: Knex) { await User.bindKnex(db).query(); }`,
+      output: `${header}async function f(trx: Transaction, db: Knex) { await User.bindKnex(db).query(trx); }`,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // `this` in a static method of a Model subclass
+      ...typed,
+      code: `${header}class Post extends User { static async archive(trx: Transaction) { await this.query().patch({}); } }`,
+      output: `${header}class Post extends User { static async archive(trx: Transaction) { await this.query(trx).patch({}); } }`,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // untyped receivers fall back to the configured detection
+      ...typed,
+      code: `${header}declare const Legacy: any; async function f(trx: Transaction) { await Legacy.query(); }`,
+      output: `${header}declare const Legacy: any; async function f(trx: Transaction) { await Legacy.query(trx); }`,
+      errors: [{ messageId: "missingTrxQuery" }],
+    },
+    {
+      // name-based detection still applies in type-aware mode
+      ...typed,
+      code: `${header}async function f(trx: any) { await saveAudit({}); }`,
+      output: `${header}async function f(trx: any) { await saveAudit({}, trx); }`,
+      errors: [{ messageId: "missingTrxHelperArgument" }],
+    },
   ],
 });
@@ -0,0 +1,263 @@
+import path from "node:path";
+import tsParser from "@typescript-eslint/parser";
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/require-trx-param-in-data-access-functions.js";
+
+const ruleTester = new RuleTester();
+
+const repository = path.resolve("src/repositories/users.js");
+const files = [{ files: ["src/repositories/**"] }];
+
+ruleTester.run("require-trx-param-in-data-access-functions", rule, {
+  valid: [
+    // transaction parameter
+    `export async function findUser(id, trx) { return User.query(trx).findById(id); }`,
+    `export const findUser = (id, trx = null) => User.query(trx).findById(id);`,
+    `export async function findUser(id, { trx } = {}) { return User.query(trx).findById(id); }`,
+    `export async function findUser(id, { trx: t } = {}) { return User.query(t).findById(id); }`,
+    // not exported
+    `async function findUser(id) { return User.query().findById(id); }`,
+    `const findUser = (id) => User.query().findById(id);`,
+    // no Objection.js query
+    `export function formatName(user) { return user.name.trim(); }`,
+    `export async function count() { return knex("users").count(); }`,
+    // private, protected and accessor members of exported classes
+    `export class UserRepository { async #find(id) { return User.query().findById(id); } }`,
+    `export class UserRepository { get all() { return User.query(); } }`,
+    {
+      code: `export class UserRepository { private async find(id: number) { return User.query().findById(id); } }`,
+      languageOptions: { parser: tsParser },
+    },
+    // repository class holding the transaction
+    `export class UserRepository { constructor(trx) { this.trx = trx; } find(id) { return User.query(this.trx).findById(id); } }`,
+    // transaction received through a configured path
+    {
+      code: `export async function findUser(ctx, id) { return User.query(ctx.trx).findById(id); }`,
+      options: [{ paths: ["ctx.trx"] }],
+    },
+    // configured transaction identifier
+    {
+      code: `export async function findUser(id, tx) { return User.query(tx).findById(id); }`,
+      options: [{ names: ["tx"] }],
+    },
+    // files outside the configured globs
+    {
+      code: `export async function findUser(id) { return User.query().findById(id); }`,
+      filename: path.resolve("src/services/users.js"),
+      options: files,
+    },
+  ],
+  invalid: [
+    {
+      code: `export async function findUser(id) { return User.query().findById(id); }`,
+      errors: [
+        {
+          message:
+            "`findUser()` runs Objection.js queries but does not accept a transaction, so callers cannot run it in theirs. Add a `trx` parameter and forward it to its queries.",
+          line: 1,
+          column: 23,
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `export async function findUser(id, trx) { return User.query(trx).findById(id); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // files matching the configured globs
+      code: `export async function findUser(id) { return User.query().findById(id); }`,
+      filename: repository,
+      options: files,
+      errors: [
+        {
+          messageId: "missingTrxParam",
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `export async function findUser(id, trx) { return User.query(trx).findById(id); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // no parameters, several queries
+      code: `export async function removeInactive() { const users = await User.query().where("active", false); await Promise.all(users.map((user) => user.$relatedQuery("pets").delete())); }`,
+      errors: [
+        {
+          messageId: "missingTrxParam",
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `export async function removeInactive(trx) { const users = await User.query(trx).where("active", false); await Promise.all(users.map((user) => user.$relatedQuery("pets", trx).delete())); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // lone arrow function parameter
+      code: `export const findUser = async id => User.query().findById(id);`,
+      errors: [
+        {
+          messageId: "missingTrxParam",
+          column: 14,
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `export const findUser = async (id, trx) => User.query(trx).findById(id);`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // exported by name; queries with a filled slot are left as they are
+      code: `async function findUser(id) { return User.query(knex).findById(id); } export { findUser };`,
+      languageOptions: { sourceType: "module" },
+      errors: [
+        {
+          messageId: "missingTrxParam",
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `async function findUser(id, trx) { return User.query(knex).findById(id); } export { findUser };`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // anonymous default export
+      code: `export default async () => User.query();`,
+      errors: [
+        {
+          message:
+            "`default()` runs Objection.js queries but does not accept a transaction, so callers cannot run it in theirs. Add a `trx` parameter and forward it to its queries.",
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `export default async (trx) => User.query(trx);`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // methods of exported classes, including one exported by name
+      code: `class UserRepository { async find(id) { return User.query().findById(id); } static all() { return User.query(); } } export default UserRepository;`,
+      errors: [
+        {
+          messageId: "missingTrxParam",
+          data: { name: "find", trx: "trx" },
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `class UserRepository { async find(id, trx) { return User.query(trx).findById(id); } static all() { return User.query(); } } export default UserRepository;`,
+            },
+          ],
+        },
+        {
+          messageId: "missingTrxParam",
+          data: { name: "all", trx: "trx" },
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `class UserRepository { async find(id) { return User.query().findById(id); } static all(trx) { return User.query(trx); } } export default UserRepository;`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // a transaction started inside is not the caller's
+      code: `export async function signUp(data) { return User.transaction(async (tx) => { await User.query(tx).insert(data); await Audit.query().insert(data); }); }`,
+      errors: [
+        {
+          messageId: "missingTrxParam",
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `export async function signUp(data, trx) { return User.transaction(async (tx) => { await User.query(tx).insert(data); await Audit.query().insert(data); }); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // no suggestion when an inner binding would shadow the parameter
+      code: `export async function signUp(data) { return User.transaction(async (trx) => { await User.query(trx).insert(data); await Audit.query().insert(data); }); }`,
+      errors: [{ messageId: "missingTrxParam", suggestions: [] }],
+    },
+    {
+      // no suggestion after a rest parameter
+      code: `export function findUsers(...ids) { return User.query().findByIds(ids); }`,
+      errors: [{ messageId: "missingTrxParam", suggestions: [] }],
+    },
+    {
+      // configured transaction identifier
+      code: `export function findUser(id) { return User.query().findById(id); }`,
+      options: [{ names: ["tx", "trx"] }],
+      errors: [
+        {
+          messageId: "missingTrxParam",
+          data: { name: "findUser", trx: "tx" },
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `export function findUser(id, tx) { return User.query(tx).findById(id); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // no suggestion without a name to give the parameter
+      code: `export function findUser(id) { return User.query().findById(id); }`,
+      options: [{ names: [], pattern: "^tx" }],
+      errors: [{ messageId: "missingTrxParam", suggestions: [] }],
+    },
+    {
+      // TypeScript files
+      code: `import { Knex } from "knex"; export const findUsers = () => User.query();`,
+      filename: "users.ts",
+      languageOptions: { parser: tsParser },
+      errors: [
+        {
+          messageId: "missingTrxParam",
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `import { Knex } from "knex"; export const findUsers = (trx?: Knex.Transaction) => User.query(trx);`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // TypeScript parameter types
+      code: `import type { Knex as K } from "knex"; export function findUser(id: number): Promise<User> { return User.query().findById(id); }`,
+      languageOptions: { parser: tsParser },
+      errors: [
+        {
+          messageId: "missingTrxParam",
+          suggestions: [
+            {
+              messageId: "addTrxParam",
+              output: `import type { Knex as K } from "knex"; export function findUser(id: number, trx?: K.Transaction): Promise<User> { return User.query(trx).findById(id); }`,
+            },
+          ],
+        },
+      ],
+    },
+    {
+      // no suggestion in TypeScript without `Knex` to type the parameter
+      code: `export const findUsers = () => User.query();`,
+      filename: "users.ts",
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "missingTrxParam", suggestions: [] }],
+    },
+  ],
+});
@@ -0,0 +1,127 @@
+import { RuleTester } from "eslint";
+import rule from "../../../lib/rules/require-trx-propagation-to-local-helpers.js";
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("require-trx-propagation-to-local-helpers", rule, {
+  valid: [
+    // trx forwarded to the helper
+    `function saveAudit(data, trx) {} async function save(trx) { await saveAudit(data, trx); }`,
+    // no trx in scope at the call site
+    `function saveAudit(data, trx) {} async function save(knex) { await saveAudit(data); }`,
+    // helper without a transaction parameter
+    `function log(data) {} async function save(trx) { await log(data); }`,
+    // imported helpers are not indexed
+    `import { saveAudit } from "./audit.js"; async function save(trx) { await saveAudit(data); }`,
+    // arrow helper with trx forwarded
+    `const saveAudit = async (data, trx = null) => {}; async function save(trx) { await saveAudit(data, trx); }`,
+    // destructured options with trx provided
+    `function saveAudit(data, { trx } = {}) {} async function save(trx) { await saveAudit(data, { trx }); }`,
+    `function saveAudit(data, { trx }) {} async function save(trx) { await saveAudit(data, options); }`,
+    `function saveAudit(data, { trx }) {} async function save(trx) { await saveAudit(data, { ...options }); }`,
+    // spread arguments before the slot — position unknown
+    `function saveAudit(data, trx) {} async function save(trx) { await saveAudit(...args); }`,
+    // this.method() forwarding in a class
+    `class Repo { async audit(data, trx) {} async save(trx) { await this.audit(data, trx); } }`,
+    // instance call does not resolve to a static method of the same name
+    `class Repo { static audit(data, trx) {} async save(trx) { await this.audit(data); } }`,
+    // shadowed helper name resolves to the inner binding
+    `function saveAudit(data, trx) {} async function save(trx) { const saveAudit = log; await saveAudit(data); }`,
+    // helper called after trx.commit() — not flagged
+    `function saveAudit(data, trx) {} async function save(trx) { await trx.commit(); await saveAudit(data); }`,
+    // configured transaction identifier
+    {
+      code: `function saveAudit(data, tx) {} async function save(tx) { await saveAudit(data, tx); }`,
+      options: [{ names: ["tx"] }],
+    },
+  ],
+  invalid: [
+    {
+      code: `function saveAudit(data, trx) {} async function save(trx) { await saveAudit(data); }`,
+      output: `function saveAudit(data, trx) {} async function save(trx) { await saveAudit(data, trx); }`,
+      errors: [
+        {
+          message:
+            "`saveAudit()` takes a transaction as `trx` but is called without `trx`. Pass `trx` so it runs inside the transaction.",
+        },
+      ],
+    },
+    {
+      // the transaction is shadowed at the call: reported without a fix
+      code: `function saveAudit(data, trx) {} await Model.transaction(async (t) => rows.map((t) => saveAudit(t)));`,
+      errors: [
+        {
+          messageId: "missingTrxArgument",
+          data: { callee: "saveAudit", param: "trx", name: "t" },
+        },
+      ],
+    },
+    {
+      // helper declared after its use
+      code: `async function save(trx) { await saveAudit(data); } async function saveAudit(data, trx = null) {}`,
+      output: `async function save(trx) { await saveAudit(data, trx); } async function saveAudit(data, trx = null) {}`,
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+    {
+      // arrow helper
+      code: `const saveAudit = async (data, trx) => {}; const save = async (trx) => { await saveAudit(data); };`,
+      output: `const saveAudit = async (data, trx) => {}; const save = async (trx) => { await saveAudit(data, trx); };`,
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+    {
+      // transaction as the first parameter
+      code: `function lock(trx) {} async function save(trx) { await lock(); }`,
+      output: `function lock(trx) {} async function save(trx) { await lock(trx); }`,
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+    {
+      // wrong connection passed — reported without a fix
+      code: `function saveAudit(data, trx) {} async function save(trx) { await saveAudit(data, knex); }`,
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+    {
+      // earlier arguments missing — reported without a fix
+      code: `function saveAudit(data, meta, trx) {} async function save(trx) { await saveAudit(data); }`,
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+    {
+      // destructured options without the transaction — reported without a fix
+      code: `function saveAudit(data, { trx } = {}) {} async function save(trx) { await saveAudit(data, { force: true }); }`,
+      errors: [
+        {
+          message:
+            "`saveAudit()` takes a transaction as `trx` but is called without `trx`. Pass `trx` so it runs inside the transaction.",
+        },
+      ],
+    },
+    {
+      code: `function saveAudit(data, { trx } = {}) {} async function save(trx) { await saveAudit(data); }`,
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+    {
+      // class method called through this
+      code: `class Repo { async audit(data, trx) {} async save(trx) { await this.audit(data); } }`,
+      output: `class Repo { async audit(data, trx) {} async save(trx) { await this.audit(data, trx); } }`,
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+    {
+      // static method called through this from a static method, inside an arrow callback
+      code: `class Repo { static audit(data, trx) {} static async save(trx) { await Promise.all(rows.map((row) => this.audit(row))); } }`,
+      output: `class Repo { static audit(data, trx) {} static async save(trx) { await Promise.all(rows.map((row) => this.audit(row, trx))); } }`,
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+    {
+      // arrow-function class field
+      code: `class Repo { audit = async (data, trx) => {}; async save(trx) { await this.audit(data); } }`,
+      output: `class Repo { audit = async (data, trx) => {}; async save(trx) { await this.audit(data, trx); } }`,
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+    {
+      // configured transaction identifiers — fixer inserts the one in scope
+      code: `function saveAudit(data, transaction) {} async function save(tx) { await saveAudit(data); }`,
+      output: `function saveAudit(data, transaction) {} async function save(tx) { await saveAudit(data, tx); }`,
+      options: [{ names: ["tx", "transaction"] }],
+      errors: [{ messageId: "missingTrxArgument" }],
+    },
+  ],
+});